@@ -0,0 +1,19 @@
+// Firebase Functions エミュレータの代わりにローカルで検証を走らせるためのスクリプト。
+// usage: npm run verify-round -- <moveLog.json>
+//   moveLog.json: { "seed": 123, "claimedScore": 420, "moves": [...], "rules": {...}, "startedAt": 1700000000000 }
+//   (rules は省略可、startedAt は完成ボーナスの計算と、at がラウンド開始より前でないかの確認、時間切れ後の手の切り捨てに使う)
+
+import { readFileSync } from 'node:fs';
+import { verifyRound } from '../src/game/verify.js';
+
+const file = process.argv[2];
+if (!file) {
+  console.error('usage: npm run verify-round -- <moveLog.json>');
+  process.exit(2);
+}
+
+const { seed, moves, claimedScore, rules, startedAt } = JSON.parse(readFileSync(file, 'utf8'));
+const result = verifyRound({ seed, moves, claimedScore, rules, startedAt });
+
+console.log(JSON.stringify(result, null, 2));
+process.exit(result.status === 'verified' ? 0 : 1);
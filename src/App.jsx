@@ -13,14 +13,98 @@ import {
   collection, 
   doc, 
   setDoc, 
+  getDoc,
+  getDocs,
   onSnapshot, 
+  query,
+  orderBy,
+  where,
+  limit,
   updateDoc, 
   arrayUnion,
   increment,
   serverTimestamp,
-  runTransaction
+  runTransaction,
+  writeBatch,
+  deleteDoc
 } from 'firebase/firestore';
-import { AlertCircle, Play, Users, Trophy, Snowflake, RefreshCw, Hand, Shield, Flag, Clock, Zap, Swords, Eye, Crown, User } from 'lucide-react';
+import {
+  EMPTY_STATE,
+  dealFromSeed,
+  applyMove,
+  canRecycle,
+  toSnapshot,
+  canMoveToFoundation,
+  canMoveToTableau,
+  isFoundationMove,
+  scoreFor,
+  nextCombo,
+  comboMultiplier,
+  chargeFor,
+  findHint,
+  isDeadPosition,
+  isCleared,
+  canAutoComplete,
+  nextAutoMove,
+  movingCards
+} from './game/engine';
+import { cardName, describeCard, describeMove, describeHint } from './game/describe';
+import { createSeed, formatSeed } from './game/rng';
+import { toLogEntry, verifyRound, replayRound } from './game/verify';
+import {
+  ATTACKS,
+  ATTACK_LIST,
+  SHIELD_COST,
+  REFLECT_MIN_COMBO,
+  DEFENSE_BANNERS,
+  canAfford,
+  DONATE_AMOUNT
+} from './game/attacks';
+import { DEFAULT_RULES, UNDO_DEPTH, normalizeRules, variantOf, clearBonus, isTimeUp } from './game/rules';
+import Card from './components/Card';
+import ReplayViewer from './components/ReplayViewer';
+import SpectatorView from './components/SpectatorView';
+import AttackBar from './components/AttackBar';
+import RulesPanel from './components/RulesPanel';
+import { ATTACK_ICONS } from './components/attackIcons';
+import { useCardDrag } from './hooks/useCardDrag';
+import { useEventQueue } from './hooks/useEventQueue';
+import { loadSession, saveSession, clearSession, loadBoard, saveBoard } from './session';
+import { normalizeProfile } from './profile';
+import { newPasscode, isPasscode, inviteUrl, readInvite, clearInvite } from './invite';
+import { QUEUE_BEAT_MS, QUEUE_SCAN_LIMIT, ratingWindow, pickOpponent } from './matchmaking';
+import { EMPTY_STATS, matchRatings, teamMatchRatings, addMatch, attacksLanded } from './game/stats';
+import {
+  MIN_PLAYERS,
+  newSeat,
+  playerIds,
+  activeIds,
+  rivalIds,
+  nextSeat,
+  playerField,
+  roundResetFields,
+  rankBy,
+  pickTarget,
+  TEAMS,
+  TEAM_LABELS,
+  isTeamRoom,
+  teamOf,
+  teamIds,
+  teammateIds,
+  nextTeam,
+  teamsReady,
+  teamTotals,
+  matchStandings,
+  matchWinner,
+  matchResult
+} from './game/seats';
+import Avatar from './components/Avatar';
+import ProfileEditor from './components/ProfileEditor';
+import StatsScreen from './components/StatsScreen';
+import RoomBrowser from './components/RoomBrowser';
+import TargetPicker from './components/TargetPicker';
+import TeamBadge from './components/TeamBadge';
+import { AlertCircle, Play, Users, Trophy, Snowflake, RefreshCw, Hand, Shield, Flag, Clock, Zap, Swords, Eye, Crown, User, Film, Lock, Ban, Undo2, Lightbulb, WifiOff, BarChart3, Search, X, List, Globe, Link2, Check, KeyRound, Gift } from 'lucide-react';
 
 // --- Configuration Helper ---
 const getFirebaseConfig = () => {
@@ -56,84 +140,120 @@ const db = initializeFirestore(app, {
 
 const appId = getAppId();
 
+// ラウンドごと・プレイヤーごとの手順ログ
+const moveLogRef = (roomId, round, uid) => (
+  doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`, 'moveLogs', `r${round}_${uid}`)
+);
+
+// 合言葉はルームドキュメントに載せず、keys/{合言葉} が存在するかで確かめる
+// （firestore.rules で get は誰でも、一覧はホストだけに絞る。総当たりは合言葉の長さで防ぐ）
+const keysCol = (roomId) => (
+  collection(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`, 'keys')
+);
+const keyRef = (roomId, passcode) => doc(keysCol(roomId), passcode);
+
+// ルーム内イベント（攻撃など）の順序付きストリーム
+const eventsCol = (roomId) => (
+  collection(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`, 'events')
+);
+
+// 観戦者向けに公開する盤面スナップショット
+const boardRef = (roomId, uid) => (
+  doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`, 'boards', uid)
+);
+
+// 参加者ごとの生存確認（joinedAt は参加時のみ、lastSeen はハートビートで更新する）
+const presenceCol = (roomId) => (
+  collection(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`, 'presence')
+);
+const presenceRef = (roomId, uid) => doc(presenceCol(roomId), uid);
+
+// uid ごとのプロフィール（ルームをまたいで使う）
+const profileRef = (uid) => doc(db, 'artifacts', appId, 'public', 'data', 'profiles', uid);
+
+// uid ごとの累計戦績と試合履歴
+const statsRef = (uid) => doc(db, 'artifacts', appId, 'public', 'data', 'stats', uid);
+const historyCol = (uid) => collection(statsRef(uid), 'history');
+const HISTORY_LIMIT = 20;
+
+// 公開ルーム一覧に載せる状態と件数
+const roomsCol = () => collection(db, 'artifacts', appId, 'public', 'data', 'rooms');
+const ROOM_BROWSER_LIMIT = 30;
+
+// クイックマッチの待ち行列（uid ごとに 1 エントリ、組まれると roomId が入る）
+const queueCol = () => collection(db, 'artifacts', appId, 'public', 'data', 'matchQueue');
+const queueRef = (uid) => doc(queueCol(), uid);
+
 // --- Game Constants ---
-const SUITS = ['♠', '♥', '♦', '♣'];
-const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
-const ATTACK_THRESHOLD = 2; 
-const GAME_DURATION_SEC = 180; 
-const COMBO_WINDOW_MS = 3000; 
-const MAX_ROUNDS = 3;
-
-const createDeck = () => {
-  const deck = [];
-  SUITS.forEach(suit => {
-    RANKS.forEach((rank, index) => {
-      deck.push({
-        id: `${suit}-${rank}`,
-        suit,
-        rank,
-        value: index + 1,
-        color: (suit === '♥' || suit === '♦') ? 'red' : 'black',
-        faceUp: false,
-      });
-    });
-  });
-  return shuffle(deck);
+const BOARD_PUBLISH_MS = 1000;
+const AUTO_COMPLETE_DELAY_MS = 120;
+const AUTO_FLIGHT_MS = 180;
+const HEARTBEAT_MS = 5000;
+const DISCONNECT_AFTER_MS = 15000; // この間ハートビートが届かなければ切断とみなす
+const FORFEIT_GRACE_MS = 30000; // 切断とみなしてから不戦勝になるまでの猶予
+const IN_PROGRESS_STATUSES = ['count_down', 'playing', 'intermission'];
+
+// 進行役（ラウンドの開始・終了を書き込む参加者）の後継: 着席順でオンラインのプレイヤー → 最も早く参加したオンラインの観戦者
+const pickSuccessor = (room, presence, isOnline) => {
+  const controllerId = room.controller || room.host;
+  const player = activeIds(room).find(uid => uid !== controllerId && isOnline(uid));
+  if (player) return player;
+  const spectators = (room.spectators || []).filter(uid => uid !== controllerId && isOnline(uid));
+  spectators.sort((a, b) => (presence[a]?.joinedAt ?? Infinity) - (presence[b]?.joinedAt ?? Infinity));
+  return spectators[0] || null;
 };
 
-const shuffle = (array) => {
-  let currentIndex = array.length, randomIndex;
-  while (currentIndex !== 0) {
-    randomIndex = Math.floor(Math.random() * currentIndex);
-    currentIndex--;
-    [array[currentIndex], array[randomIndex]] = [array[randomIndex], array[currentIndex]];
-  }
-  return array;
+// 参加に失敗したときにロビーへ出す説明（joinRoom が投げる文字列ごと）
+const JOIN_ERRORS = {
+  'Room does not exist!': 'ルームが見つかりません。コードやリンクが正しいか確認してください。',
+  'Room has finished!': 'このルームの試合はすでに終了しています。',
+  'Wrong passcode!': '合言葉が違います。ホストから招待リンクをもらってください。',
+  default: 'ルームに参加できませんでした。',
 };
 
-// --- Components ---
+const newRoomCode = () => Math.random().toString(36).substring(2, 7).toUpperCase();
+
+// 新しいルームの初期値。host はルームの持ち主（ルール・公開設定を決める）で、席は players に並ぶ
+// （クイックマッチでは作成時に他のプレイヤーも決まっている）
+const newRoomFields = (host, others = []) => ({
+  host,
+  controller: host,
+  players: Object.fromEntries([host, ...others].map((uid, idx) => [uid, newSeat(idx)])),
+  nextPlayers: [],
+  standings: null,
+  statsRecorded: false,
+  private: false,
+  locked: false, // 合言葉付きか（合言葉そのものは keys にある）
+  listed: true, // ルーム一覧に出すか（非公開でも合言葉付きでもない）。一覧のクエリで絞り込むために持つ
+  status: 'waiting', 
+  currentRound: 1,
+  spectators: [],
+  eventSeq: 0,
+  rules: DEFAULT_RULES,
+  createdAt: serverTimestamp()
+});
 
-const Card = ({ card, onClick, isSelected, isFrozen, style }) => {
-  if (!card) return (
-    <div className="w-full aspect-[5/7] border-2 border-dashed border-white/10 rounded-md bg-white/5 box-border" />
-  );
+const PLACE_LABELS = ['1ST', '2ND', '3RD', '4TH'];
+const TEAM_RINGS = ['ring-sky-400', 'ring-rose-400'];
 
-  if (!card.faceUp) {
-    return (
-      <div 
-        onClick={onClick}
-        className="w-full aspect-[5/7] bg-indigo-900 border border-white/20 rounded-md shadow-sm cursor-pointer relative overflow-hidden box-border"
-        style={style}
-      >
-        <div className="absolute inset-1 border border-indigo-400/30 rounded-sm bg-gradient-to-br from-indigo-800 to-indigo-950 pattern-grid-lg"></div>
-      </div>
-    );
+// 読み上げ用の合計点（高い順）と、uid が座っていればその順位（チーム戦はチームごとの合計）
+const standingsText = (room, uid) => {
+  if (isTeamRoom(room)) {
+    const totals = teamTotals(room, Object.fromEntries(playerIds(room).map(id => [id, room.players[id].totalScore || 0])));
+    const team = teamOf(room, uid);
+    const mine = team !== null && room.standings?.[uid] ? ` Your team is number ${room.standings[uid]}.` : '';
+    return `${TEAMS.map(t => `Team ${TEAM_LABELS[t]} ${totals[t]}`).join(', ')}.${mine}`;
   }
-
-  return (
-    <div 
-      onClick={onClick}
-      style={style}
-      className={`
-        w-full aspect-[5/7] bg-white rounded-md shadow-sm cursor-pointer select-none relative transition-transform duration-100 box-border
-        ${isSelected ? 'ring-2 ring-yellow-400 translate-y-[-4px] z-50' : 'active:scale-95'}
-        ${isFrozen ? 'after:content-[""] after:absolute after:inset-0 after:bg-blue-400/50 after:backdrop-blur-[1px] after:rounded-md' : ''}
-      `}
-    >
-      <div className={`absolute top-[4%] left-[8%] font-bold leading-none text-[clamp(10px,3vw,18px)] tracking-tighter ${card.color === 'red' ? 'text-red-600' : 'text-gray-900'}`}>
-        {card.rank}
-      </div>
-      <div className={`absolute top-[4%] right-[8%] leading-none text-[clamp(10px,2.5vw,16px)] ${card.color === 'red' ? 'text-red-600' : 'text-gray-900'}`}>
-        {card.suit}
-      </div>
-      <div className={`absolute bottom-[10%] right-[10%] opacity-20 transform scale-[2.5] text-[clamp(12px,4vw,24px)] ${card.color === 'red' ? 'text-red-600' : 'text-gray-900'}`}>
-        {card.suit}
-      </div>
-      {isFrozen && <Snowflake className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-blue-600 w-1/2 h-1/2 animate-pulse" />}
-    </div>
-  );
+  const totals = playerIds(room).map(id => room.players[id].totalScore || 0).sort((a, b) => b - a);
+  const place = room.standings?.[uid] ? ` You are number ${room.standings[uid]} of ${totals.length}.` : '';
+  return `Totals ${totals.join(', ')}.${place}`;
 };
 
+// キーボード操作のカーソル位置。上段は 0 山札, 1 捨て札, 2-5 組札（下段は場札の列番号）
+const TOP_TO_COLUMN = [0, 1, 3, 4, 5, 6];
+const COLUMN_TO_TOP = [0, 1, 1, 2, 3, 4, 5];
+const BOARD_KEY_HELP = 'Solitaire board. Arrow keys move, Enter selects or drops, D draws, F sends to a foundation, H shows a hint, U undoes, Escape cancels.';
+
 // --- Main App Component ---
 
 export default function App() {
@@ -141,30 +261,79 @@ export default function App() {
   const [roomId, setRoomId] = useState('');
   const [gameState, setGameState] = useState('lobby'); // lobby, room_lobby, count_down, playing, intermission, finished
   const [roomData, setRoomData] = useState(null);
+  const rules = normalizeRules(roomData?.rules);
   
   // Game Logic State
-  const [deck, setDeck] = useState([]);
-  const [waste, setWaste] = useState([]);
-  const [tableau, setTableau] = useState([]);
-  const [foundation, setFoundation] = useState([[], [], [], []]);
+  const [board, setBoard] = useState(EMPTY_STATE);
   const [selectedCard, setSelectedCard] = useState(null); 
+  const [undoStack, setUndoStack] = useState([]); // [{ board, score, charge }]
+  const [undoLockUntil, setUndoLockUntil] = useState(0);
+  const [hint, setHint] = useState(null); // { move, board }: 盤面が変わったら表示しない
+  const [autoFlight, setAutoFlight] = useState(null); // 自動完成で組札へ飛んでいるカード { card, rect, dx, dy, landed }
   const [frozenColumns, setFrozenColumns] = useState({}); 
   const [attackCharge, setAttackCharge] = useState(0); 
+  const [statusEffects, setStatusEffects] = useState({}); // { [attackId]: 効果の終了時刻 }
+  const [shieldUp, setShieldUp] = useState(false);
+  const [defenseBanner, setDefenseBanner] = useState(null); // 'blocked' | 'reflected'
+  const [cursor, setCursor] = useState({ row: 'top', index: 0, cardIndex: null }); // cardIndex: null は列の一番上
+  const [cursorVisible, setCursorVisible] = useState(false);
+  const [announcement, setAnnouncement] = useState('');
+  const [presence, setPresence] = useState({}); // { [uid]: { joinedAt, beat, seenAt } } seenAt はローカル時刻
+  const [presenceClock, setPresenceClock] = useState(() => Date.now());
+  const [giveUpOpen, setGiveUpOpen] = useState(false);
+  const [profiles, setProfiles] = useState({}); // { [uid]: Firestore 上のプロフィール（未作成なら null） }
+  const [statsView, setStatsView] = useState(null); // { stats, history }
+  const [queue, setQueue] = useState(null); // クイックマッチで並んでいる間の自分のエントリ
+  const [queueClock, setQueueClock] = useState(() => Date.now());
+  const [preferSimilar, setPreferSimilar] = useState(true);
+  const [browserOpen, setBrowserOpen] = useState(false);
+  const [invite, setInvite] = useState(readInvite); // 招待リンクで開かれたときの { roomId, passcode }
+  const [inviteCopied, setInviteCopied] = useState(false);
+  const [joinError, setJoinError] = useState(null);
+  const [roomKey, setRoomKey] = useState(null); // このルームの合言葉（ホストと、合言葉で入った参加者だけが知っている）
+  const [publicRooms, setPublicRooms] = useState([]);
+  const [browserError, setBrowserError] = useState(null);
+  const [targetMode, setTargetMode] = useState('leader'); // 'leader' | 'random' | 相手の uid
   const [myScore, setMyScore] = useState(0);
   
   // New Features State
-  const [timeLeft, setTimeLeft] = useState(GAME_DURATION_SEC);
+  const [timeLeft, setTimeLeft] = useState(DEFAULT_RULES.durationSec);
   const [combo, setCombo] = useState(0);
   const [lastMoveTime, setLastMoveTime] = useState(0);
   const [comboTimer, setComboTimer] = useState(0); 
   
   // 3-Round System & Start Countdown
   const [countDown, setCountDown] = useState(null);
+
+  // Replay
+  const [replayRecord, setReplayRecord] = useState(null);
+
+  // Spectating
+  const [liveBoards, setLiveBoards] = useState({});
+  const lastPublishRef = useRef(0);
   
   // Effects
-  const [lastAttackId, setLastAttackId] = useState(null);
+  const eventCursorRef = useRef(null);
+  const eventHandlerRef = useRef(null);
+  const { enqueue: enqueueEvents, clear: clearEvents } = useEventQueue(eventHandlerRef);
+  const shieldRef = useRef(false); // 同じスナップショットで複数の攻撃を受けても 1 回しか防がない
+  const defenseBannerTimeoutRef = useRef(null);
   const timerRef = useRef(null);
+  const timeUpRoundRef = useRef(null); // handleTimeUp で締めたラウンド（`${currentRound}:${seed}`）
   const comboIntervalRef = useRef(null);
+  const moveSeqRef = useRef(0);
+  const autoCompleteRef = useRef(null);
+  const resumingRef = useRef(false); // 再開処理中は新しい配札をしない
+  const resumeRoundRef = useRef(null);
+  const presenceSinceRef = useRef(0); // 購読を始めた時刻（相手のハートビートが未着でもここから猶予を数える）
+  const forfeitRef = useRef(null);
+  const forfeitClaimedRef = useRef(null); // 棄権を申請済みの相手 uid
+  const migrateRef = useRef(null);
+  const migrationClaimedRef = useRef(null); // 引き継ぎを申請済みの旧進行役 uid
+  const matchmakeRef = useRef(null);
+  const matchingRef = useRef(false); // 組み合わせのトランザクションを重ねて走らせない
+  const enterMatchRef = useRef(null);
+  const joinRoomRef = useRef(null);
 
   // Auth Setup
   useEffect(() => {
@@ -194,6 +363,7 @@ export default function App() {
         // 1. Waiting in Lobby
         if (data.status === 'waiting' && gameState !== 'room_lobby') {
             setGameState('room_lobby');
+            forfeitClaimedRef.current = null;
         }
 
         // 2. Start Countdown
@@ -201,32 +371,27 @@ export default function App() {
             startCountDownSequence();
         }
 
-        // 3. Round Start (Re-sync if missed countdown)
+        // 3. Round Start (Re-sync if missed countdown, or resume after reload)
         if (data.status === 'playing' && (gameState === 'waiting' || gameState === 'intermission' || gameState === 'room_lobby' || gameState === 'lobby')) {
              // In case of lag or late join, jump straight to play
              setGameState('playing');
-             startGameLocal();
+             resumeRoundRef.current(data);
         }
 
         // 4. Intermission
-        if (data.status === 'intermission' && gameState === 'playing') {
+        if (data.status === 'intermission' && gameState !== 'intermission') {
           setGameState('intermission');
           if (timerRef.current) clearInterval(timerRef.current);
+          announce(`Round ${data.currentRound} over. ${standingsText(data, user.uid)}`);
         }
 
         // 5. Finished
         if (data.status === 'finished' && gameState !== 'finished') {
           setGameState('finished');
           if (timerRef.current) clearInterval(timerRef.current);
-        }
-
-        // Handle Attacks (Players only)
-        if (isPlayer && data.attacks && data.attacks.length > 0) {
-          const latestAttack = data.attacks[data.attacks.length - 1];
-          if (latestAttack.target === user.uid && latestAttack.id !== lastAttackId) {
-            triggerFreezeEffect();
-            setLastAttackId(latestAttack.id);
-          }
+          const wasPlayer = !!data.players?.[user.uid] && !!data.standings;
+          const outcome = wasPlayer ? { win: 'Victory', draw: 'Draw', loss: 'Defeat' }[matchResult(data, user.uid)] : 'Game set';
+          announce(`${outcome}. ${standingsText(data, user.uid)}`);
         }
       }
     }, (error) => {
@@ -234,18 +399,124 @@ export default function App() {
     });
 
     return () => unsub();
-  }, [user, roomId, gameState, lastAttackId]);
+  }, [user, roomId, gameState]);
+
+  // Event Stream Listener
+  // 購読開始時点の既存イベントは読み飛ばし、以降のイベントを seq 順に一度だけキューに積む
+  useEffect(() => {
+    if (!user || !roomId) return;
+    eventCursorRef.current = null;
+
+    const unsub = onSnapshot(query(eventsCol(roomId), orderBy('seq')), (snapshot) => {
+      const events = snapshot.docs.map(d => d.data());
+      if (eventCursorRef.current === null) {
+        eventCursorRef.current = events.length > 0 ? events[events.length - 1].seq : 0;
+        return;
+      }
+      const fresh = events.filter(event => event.seq > eventCursorRef.current);
+      if (fresh.length === 0) return;
+      eventCursorRef.current = fresh[fresh.length - 1].seq;
+      enqueueEvents(fresh);
+    }, (error) => {
+        console.error("Event Snapshot Error:", error);
+    });
+
+    return () => unsub();
+  }, [user, roomId, enqueueEvents]);
+
+  // 招待リンクで開かれたら、匿名認証が済んだところでそのルームに参加する
+  useEffect(() => {
+    if (!user || !invite) return;
+    clearInvite();
+    joinRoomRef.current(invite.roomId, false, invite.passcode).finally(() => setInvite(null));
+  }, [user, invite]);
+
+  // リロード前のルームがまだ続いていれば戻る（招待リンクの処理が優先）
+  useEffect(() => {
+    if (!user || roomId || invite) return;
+    const session = loadSession();
+    if (!session || session.uid !== user.uid) return;
+    getDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${session.roomId}`)).then((snap) => {
+      if (snap.exists() && snap.data().status !== 'finished') setRoomId(session.roomId);
+      else clearSession();
+    }).catch(e => console.error("Session resume failed", e));
+  }, [user, roomId, invite]);
+
+  useEffect(() => {
+    if (user && roomId) saveSession({ roomId, uid: user.uid });
+  }, [user, roomId]);
+
+  // リロード前に並んでいたエントリは片付ける（その間に組まれていればそのルームへ入る）
+  useEffect(() => {
+    if (!user) return;
+    getDoc(queueRef(user.uid)).then((snap) => {
+      if (!snap.exists()) return;
+      if (snap.data().roomId) enterMatchRef.current(snap.data().roomId);
+      else deleteDoc(queueRef(user.uid));
+    }).catch(e => console.error("Queue cleanup failed", e));
+  }, [user]);
+
+  // ルーム一覧を開いている間だけ、進行中・募集中のルームを新しい順に購読する（非公開・合言葉付きのルームはクエリで除く）
+  // このクエリには firestore.indexes.json の複合インデックスが要る（未デプロイだと failed-precondition になる）
+  useEffect(() => {
+    if (!user || !browserOpen) return;
+    const statuses = ['waiting', ...IN_PROGRESS_STATUSES];
+    const roomsQuery = query(
+      roomsCol(),
+      where('listed', '==', true),
+      where('status', 'in', statuses),
+      orderBy('createdAt', 'desc'),
+      limit(ROOM_BROWSER_LIMIT)
+    );
+    const unsub = onSnapshot(roomsQuery, (snapshot) => {
+      const rooms = snapshot.docs
+        .map(d => ({ id: d.id.replace(/^room_/, ''), ...d.data() }))
+        .sort((a, b) => statuses.indexOf(a.status) - statuses.indexOf(b.status) || (b.createdAt?.toMillis() ?? 0) - (a.createdAt?.toMillis() ?? 0));
+      setPublicRooms(rooms);
+      setBrowserError(null);
+    }, (error) => {
+        console.error("Room Browser Snapshot Error:", error);
+        setBrowserError(error.code === 'failed-precondition'
+          ? 'ルーム一覧のインデックスがまだ作られていません（firestore.indexes.json をデプロイしてください）'
+          : 'ルーム一覧を読み込めませんでした');
+    });
+    return () => unsub();
+  }, [user, browserOpen]);
+
+  // クイックマッチ: 並んでいる間はハートビートを送りつつ相手を探し、自分のエントリに roomId が入ったらそのルームへ移る
+  useEffect(() => {
+    if (!user || !queue) return;
+    const tick = () => {
+      updateDoc(queueRef(user.uid), { beat: Date.now() }).catch(e => console.error("Queue heartbeat failed", e));
+      matchmakeRef.current();
+    };
+    tick();
+    const heartbeat = setInterval(tick, QUEUE_BEAT_MS);
+    const clock = setInterval(() => setQueueClock(Date.now()), 1000);
+
+    const unsub = onSnapshot(queueRef(user.uid), (snapshot) => {
+      const entry = snapshot.data();
+      if (entry?.roomId) enterMatchRef.current(entry.roomId);
+    }, (error) => {
+        console.error("Queue Snapshot Error:", error);
+    });
+
+    return () => {
+      clearInterval(heartbeat);
+      clearInterval(clock);
+      unsub();
+    };
+  }, [user, queue]);
 
   // --- 修正: ゲーム開始トリガー ---
   useEffect(() => {
-      if (gameState === 'playing' && user && roomData) {
-          const isHost = roomData.host === user.uid;
-          const isGuest = roomData.guest === user.uid;
+      if (gameState === 'playing' && user && roomData && !resumingRef.current) {
+          const seat = roomData.players?.[user.uid];
           
-          if (isHost || isGuest) {
+          if (seat && !seat.out) {
               // 既にカードがある場合はリセットしない
-              if (deck.length === 0 && tableau.length === 0) {
-                  startGameLocal();
+              if (board.stock.length === 0 && board.tableau.length === 0) {
+                  startGameLocal(roomData.seed, roomData.rules);
               }
           }
       }
@@ -257,20 +528,24 @@ export default function App() {
       timerRef.current = setInterval(() => {
         const now = Date.now();
         const elapsedSec = Math.floor((now - roomData.startTime.toMillis()) / 1000);
-        const remaining = Math.max(0, GAME_DURATION_SEC - elapsedSec);
+        const remaining = Math.max(0, rules.durationSec - elapsedSec);
         
         setTimeLeft(remaining);
 
-        if (remaining <= 0) {
+        // 全員が降参するか、誰かが盤面を完成させたらタイマーを待たずに終了する
+        const seats = roomData.players || {};
+        const allSurrendered = activeIds(roomData).every(uid => seats[uid].surrendered);
+        const anyCleared = Object.values(seats).some(seat => seat.cleared);
+        if (remaining <= 0 || allSurrendered || anyCleared) {
           clearInterval(timerRef.current);
-          if (roomData.host === user.uid) handleTimeUp(); 
+          if ((roomData.controller || roomData.host) === user.uid) handleTimeUp(); 
         }
       }, 1000);
     }
     return () => {
       if (timerRef.current) clearInterval(timerRef.current);
     };
-  }, [gameState, roomData, user]);
+  }, [gameState, roomData, user, rules.durationSec]);
 
   // Combo Timer Logic
   useEffect(() => {
@@ -278,10 +553,10 @@ export default function App() {
       comboIntervalRef.current = setInterval(() => {
         const now = Date.now();
         const diff = now - lastMoveTime;
-        const progress = Math.max(0, 100 - (diff / COMBO_WINDOW_MS) * 100);
+        const progress = Math.max(0, 100 - (diff / rules.comboWindowMs) * 100);
         setComboTimer(progress);
 
-        if (diff > COMBO_WINDOW_MS) {
+        if (diff > rules.comboWindowMs) {
           setCombo(0);
           setComboTimer(0);
         }
@@ -292,19 +567,200 @@ export default function App() {
     return () => {
       if (comboIntervalRef.current) clearInterval(comboIntervalRef.current);
     };
-  }, [combo, lastMoveTime]);
+  }, [combo, lastMoveTime, rules.comboWindowMs]);
 
   // --- Role Helpers ---
-  const isHost = roomData?.host === user?.uid;
-  const isGuest = roomData?.guest === user?.uid;
-  const isPlayer = isHost || isGuest;
-  const isSpectator = !isPlayer && roomData;
+  const isHost = roomData?.host === user?.uid; // ルームの持ち主
+  const mySeat = roomData?.players?.[user?.uid] || null;
+  const isPlayer = !!mySeat && !mySeat.out;
+  const isSpectator = !isPlayer && !!roomData;
+  const mySurrendered = !!mySeat?.surrendered;
+  const seatedIds = playerIds(roomData);
+  const rivals = isPlayer ? rivalIds(roomData, user.uid) : [];
+  const teamRoom = isTeamRoom(roomData);
+  const teammates = isPlayer ? teammateIds(roomData, user.uid) : [];
+  const myField = (key) => playerField(user.uid, key);
+  // チーム戦で味方にチャージを渡せるか（味方のゲージが満タンなら渡さない）
+  const partnerId = teammates[0] || null;
+  const canDonate = !!partnerId && (roomData.players[partnerId].charge || 0) + DONATE_AMOUNT <= rules.maxCharge;
+  // ヘッダーの左は自分（観戦中は最初の席のプレイヤー）、右はそれ以外（チーム戦は味方を先に並べる）
+  const headerLeadId = isPlayer ? user.uid : seatedIds[0];
+  const headerRivalIds = isPlayer ? [...teammates, ...rivals] : seatedIds.slice(1);
+  // チーム戦のラウンド中の合計（自分の分は手元の得点を使う）
+  const liveTeamScores = teamRoom
+    ? teamTotals(roomData, Object.fromEntries(seatedIds.map(uid => [uid, isPlayer && uid === user.uid ? myScore : roomData.players[uid].score || 0])))
+    : null;
+  const teamTotalScores = teamRoom
+    ? teamTotals(roomData, Object.fromEntries(seatedIds.map(uid => [uid, roomData.players[uid].totalScore || 0])))
+    : null;
+  const canStart = seatedIds.length >= MIN_PLAYERS && (!teamRoom || teamsReady(roomData));
+  const myOutcome = mySeat && roomData?.standings && roomData.winner ? matchResult(roomData, user.uid) : null;
+  const lastRoundRecord = roomData?.rounds?.find(r => r.round === roomData.currentRound) || null;
+  // 試合の合計 + 今のラウンドの得点（攻撃の「首位」判定とヘッダーの並び順に使う）
+  const matchScores = Object.fromEntries(seatedIds.map(uid => [uid, (roomData.players[uid].totalScore || 0) + (roomData.players[uid].score || 0)]));
+  const { stock, waste, tableau, foundation } = board;
+  const activeHint = hint?.board === board ? hint.move : null;
+
+  const controllerId = roomData?.controller || roomData?.host;
+  const isController = !!user && controllerId === user.uid;
+
+  // ハートビートが未着の相手も、購読を始めた時刻から猶予を数える
+  const lastSeenOf = (uid) => Math.max(presence[uid]?.seenAt || 0, presenceSinceRef.current);
+  const isOnline = (uid) => !!presence[uid] && presenceClock - presence[uid].seenAt <= DISCONNECT_AFTER_MS;
+
+  // 対戦中に相手のハートビートが途切れたら、猶予のあとその相手を棄権扱いにする（期限の早い相手から）
+  const matchInProgress = IN_PROGRESS_STATUSES.includes(roomData?.status);
+  const forfeitDeadline = (uid) => lastSeenOf(uid) + DISCONNECT_AFTER_MS + FORFEIT_GRACE_MS;
+  const offlineRivals = matchInProgress ? rivals.filter(uid => presenceClock - lastSeenOf(uid) > DISCONNECT_AFTER_MS) : [];
+  const offlineRivalId = [...offlineRivals].sort((a, b) => forfeitDeadline(a) - forfeitDeadline(b))[0] || null;
+  const rivalOffline = !!offlineRivalId;
+  const forfeitIn = rivalOffline ? Math.max(0, forfeitDeadline(offlineRivalId) - presenceClock) : null;
+
+  // ホストは合言葉を keys から読み出して表示し、招待リンクに載せる
+  const roomLocked = !!roomData?.locked;
+  useEffect(() => {
+    if (!user || !roomId || !isHost || !roomLocked) return;
+    getDocs(query(keysCol(roomId), limit(1)))
+      .then(snapshot => { if (!snapshot.empty) setRoomKey(snapshot.docs[0].id); })
+      .catch(e => console.error("Passcode load failed", e));
+  }, [user, roomId, isHost, roomLocked]);
+
+  useEffect(() => {
+    if (forfeitIn !== 0 || forfeitClaimedRef.current === offlineRivalId) return;
+    forfeitClaimedRef.current = offlineRivalId;
+    forfeitRef.current(offlineRivalId, 'disconnect');
+  }, [forfeitIn, offlineRivalId]);
+
+  // 進行役が落ちたら、後継に選ばれたクライアントがトランザクションで引き継ぐ
+  const controllerOffline = !!controllerId && !isController && presenceClock - lastSeenOf(controllerId) > DISCONNECT_AFTER_MS;
+  const successorId = controllerOffline ? pickSuccessor(roomData, presence, isOnline) : null;
+  const shouldMigrate = !!user && successorId === user.uid;
+
+  useEffect(() => {
+    if (!shouldMigrate || migrationClaimedRef.current === controllerId) return;
+    migrationClaimedRef.current = controllerId;
+    migrateRef.current(controllerId);
+  }, [shouldMigrate, controllerId]);
+
+  // 山札を一巡しても有効な手がない場合は降参を提案する
+  const deadPosition = useMemo(() => (
+    isPlayer && gameState === 'playing' && board.tableau.length > 0 && isDeadPosition(board)
+  ), [isPlayer, gameState, board]);
+
+  const autoCompleting = useMemo(() => (
+    isPlayer && gameState === 'playing' && !mySurrendered && canAutoComplete(board)
+  ), [isPlayer, gameState, mySurrendered, board]);
+
+  // 残りを 1 枚ずつ組札に送る（凍結中の列は解けるまで待つ）
+  useEffect(() => {
+    if (!autoCompleting || autoFlight) return;
+    const timeout = setTimeout(() => autoCompleteRef.current(), AUTO_COMPLETE_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [autoCompleting, autoFlight, board, frozenColumns]);
+
+  const { drag, bindCard, consumeClick } = useCardDrag({
+    canDrag: (source) => canDragCard(source),
+    onDragStart: () => setSelectedCard(null),
+    onDrop: (source, target) => handleDrop(source, target)
+  });
+
+  // 盤面スナップショットの公開（スロットリングして最後の状態を必ず送る）
+  useEffect(() => {
+    if (gameState !== 'playing' || !isPlayer || board.tableau.length === 0) return;
+    const wait = Math.max(0, lastPublishRef.current + BOARD_PUBLISH_MS - Date.now());
+    const timeout = setTimeout(() => {
+      lastPublishRef.current = Date.now();
+      setDoc(boardRef(roomId, user.uid), {
+        ...toSnapshot(board),
+        frozen: Object.keys(frozenColumns).map(Number),
+        updatedAt: serverTimestamp()
+      }).catch(e => console.error("Board publish failed", e));
+    }, wait);
+    return () => clearTimeout(timeout);
+  }, [gameState, isPlayer, board, frozenColumns, roomId, user]);
+
+  // リロードに備えて盤面と得点をローカルに保存する
+  const currentRound = roomData?.currentRound;
+  const currentSeed = roomData?.seed;
+  useEffect(() => {
+    if (gameState !== 'playing' || !isPlayer || currentSeed == null || board.tableau.length === 0) return;
+    saveBoard(roomId, user.uid, { round: currentRound, seed: currentSeed, board, score: myScore, seq: moveSeqRef.current });
+  }, [gameState, isPlayer, currentRound, currentSeed, board, myScore, roomId, user]);
+
+  // 観戦者は両プレイヤーの盤面を購読する
+  useEffect(() => {
+    if (!isSpectator || !roomId) return;
+    const unsub = onSnapshot(collection(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`, 'boards'), (snapshot) => {
+      const boards = {};
+      snapshot.forEach(d => { boards[d.id] = d.data(); });
+      setLiveBoards(boards);
+    }, (error) => {
+        console.error("Board Snapshot Error:", error);
+    });
+    return () => unsub();
+  }, [isSpectator, roomId]);
+
+  // ハートビートを送り、他の参加者の生存状況を購読する
+  useEffect(() => {
+    if (!user || !roomId) return;
+    const beat = () => setDoc(presenceRef(roomId, user.uid), { uid: user.uid, lastSeen: serverTimestamp() }, { merge: true })
+      .catch(e => console.error("Heartbeat failed", e));
+    beat();
+    const heartbeat = setInterval(beat, HEARTBEAT_MS);
+    const clock = setInterval(() => setPresenceClock(Date.now()), 1000);
+
+    presenceSinceRef.current = Date.now();
+    const unsub = onSnapshot(presenceCol(roomId), (snapshot) => {
+      const now = Date.now();
+      setPresence(prev => {
+        const next = {};
+        snapshot.forEach(d => {
+          const data = d.data({ serverTimestamps: 'estimate' });
+          const beatAt = data.lastSeen ? data.lastSeen.toMillis() : 0;
+          const old = prev[d.id];
+          next[d.id] = {
+            joinedAt: data.joinedAt ? data.joinedAt.toMillis() : beatAt,
+            beat: beatAt,
+            seenAt: old && old.beat === beatAt ? old.seenAt : now
+          };
+        });
+        return next;
+      });
+    }, (error) => {
+        console.error("Presence Snapshot Error:", error);
+    });
+
+    return () => {
+      clearInterval(heartbeat);
+      clearInterval(clock);
+      unsub();
+    };
+  }, [user, roomId]);
+
+  // 自分とルーム参加者のプロフィールを購読する
+  const participantKey = [...new Set([user?.uid, roomData?.host, ...seatedIds, ...(roomData?.spectators || [])])]
+    .filter(Boolean).sort().join(',');
+  useEffect(() => {
+    if (!participantKey) return;
+    const unsubs = participantKey.split(',').map(uid => onSnapshot(profileRef(uid), (snap) => {
+      setProfiles(prev => ({ ...prev, [uid]: snap.exists() ? snap.data() : null }));
+    }, (error) => {
+        console.error("Profile Snapshot Error:", error);
+    }));
+    return () => unsubs.forEach(unsub => unsub());
+  }, [participantKey]);
+
+  const profileOf = (uid) => normalizeProfile(profiles[uid], uid);
+
+  const saveProfile = async (profile) => {
+    await setDoc(profileRef(user.uid), { ...normalizeProfile(profile, user.uid), updatedAt: serverTimestamp() });
+  };
 
   // --- Game Control ---
 
   const startCountDownSequence = () => {
     setGameState('count_down');
-    setDeck([]); setTableau([]); setWaste([]); setFoundation([[],[],[],[]]);
+    setBoard(EMPTY_STATE);
     
     setCountDown(3);
     let count = 3;
@@ -320,102 +776,272 @@ export default function App() {
     }, 1000);
   };
 
-  const startGameLocal = () => {
-    console.log("Starting Local Game..."); 
-    const newDeck = createDeck();
-    const newTableau = Array(7).fill().map(() => []);
-    
-    let cardIdx = 0;
-    for (let i = 0; i < 7; i++) {
-      for (let j = 0; j <= i; j++) {
-        const card = newDeck[cardIdx++];
-        card.faceUp = (j === i);
-        newTableau[i].push(card);
-      }
-    }
-    
-    setDeck(newDeck.slice(cardIdx));
-    setTableau(newTableau);
-    setWaste([]);
-    setFoundation([[], [], [], []]);
+  const startGameLocal = (seed, roomRules) => {
+    setBoard(dealFromSeed(seed, variantOf(normalizeRules(roomRules))));
+    moveSeqRef.current = 0;
+    setUndoStack([]);
+    setUndoLockUntil(0);
+    setHint(null);
+    setAutoFlight(null);
     setMyScore(0);
     setAttackCharge(0);
     setFrozenColumns({});
+    setStatusEffects({});
+    shieldRef.current = false;
+    setShieldUp(false);
     setCombo(0);
   };
 
+  // 手順ログの再生からラウンドを再開する（ログが検証の基準なので、書き込みが間に合わなかった手は捨てる）。
+  // ログを読めなかったときだけ保存済みの盤面で続け、どちらもなければ新しく配る
+  const resumeRound = async (data) => {
+    resumingRef.current = true;
+    try {
+      startGameLocal(data.seed, data.rules);
+      const seat = data.players?.[user.uid];
+      if (!seat || seat.out) return;
+
+      let moves;
+      try {
+        const logSnap = await getDoc(moveLogRef(roomId, data.currentRound, user.uid));
+        moves = logSnap.exists() ? logSnap.data().moves : [];
+      } catch (e) {
+        console.error("Move log read failed", e);
+        const saved = loadBoard(roomId, user.uid);
+        if (!saved || saved.round !== data.currentRound || saved.seed !== data.seed) return;
+        setBoard(saved.board);
+        setMyScore(saved.score);
+        moveSeqRef.current = saved.seq ?? 0;
+        setAttackCharge(seat.charge || 0);
+        announce('Resumed your game');
+        return;
+      }
+      if (moves.length === 0) return;
+      moveSeqRef.current = Math.max(...moves.map(m => m.seq)) + 1;
+
+      const replay = replayRound(data.seed, moves, data.rules, data.startTime ? data.startTime.toMillis() : null);
+      if (!replay.ok) return;
+      setBoard(replay.state);
+      setMyScore(replay.score);
+      setAttackCharge(seat.charge || 0);
+      announce('Resumed your game');
+    } catch (e) {
+      console.error("Resume failed", e);
+    } finally {
+      resumingRef.current = false;
+    }
+  };
+  resumeRoundRef.current = resumeRound;
+
   const triggerStartGame = async () => {
-      if (!isHost) return;
+      if (!isController || activeIds(roomData).length < MIN_PLAYERS) return;
+      if (isTeamRoom(roomData) && !teamsReady(roomData)) return;
       await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
           status: 'count_down',
+          ...roundResetFields(roomData),
+          seed: createSeed(),
           startTime: serverTimestamp() 
       });
   };
 
+  // 手順ログから得点を再計算し、申告スコアと一致しない場合は再計算値を採用してフラグを立てる
+  const verifyPlayerRound = async (uid, claimedScore) => {
+    const logSnap = await getDoc(moveLogRef(roomId, roomData.currentRound, uid));
+    return verifyRound({
+      seed: roomData.seed,
+      moves: logSnap.exists() ? logSnap.data().moves : [],
+      claimedScore: claimedScore || 0,
+      rules,
+      startedAt: roomData.startTime ? roomData.startTime.toMillis() : null
+    });
+  };
+
+  // タイマーの effect は roomData が変わるたびに張り直されるので、ステータスの更新が届く前に
+  // もう一度呼ばれることがある。ラウンドごとに一度だけ集計し、書き込みも playing のままのときに限る
   const handleTimeUp = async () => {
-    if (!roomData || !isHost) return; 
-    
-    const hostTotal = (roomData.hostTotalScore || 0) + roomData.hostScore;
-    const guestTotal = (roomData.guestTotalScore || 0) + roomData.guestScore;
-
-    if (roomData.currentRound >= MAX_ROUNDS) {
-        let winnerId = 'draw';
-        if (hostTotal > guestTotal) winnerId = roomData.host;
-        if (guestTotal > hostTotal) winnerId = roomData.guest;
-
-        await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
-            status: 'finished',
-            winner: winnerId,
-            hostTotalScore: hostTotal, 
-            guestTotalScore: guestTotal,
-            hostScore: 0,
-            guestScore: 0
-        });
-    } else {
-        await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
-            status: 'intermission',
-            hostTotalScore: hostTotal,
-            guestTotalScore: guestTotal
+    if (!roomData || !isController) return; 
+    const roundKey = `${roomData.currentRound}:${roomData.seed}`;
+    if (timeUpRoundRef.current === roundKey) return;
+    timeUpRoundRef.current = roundKey;
+    try {
+      await closeRound();
+    } catch (e) {
+      console.error("Round close failed", e);
+      timeUpRoundRef.current = null; // 次にタイマーが呼んだときに締め直す
+    }
+  };
+
+  // 検証した得点でラウンドを締め、最終ラウンドなら試合を終える
+  const closeRound = async () => {
+    const ids = playerIds(roomData);
+    const seats = roomData.players;
+    const checkList = await Promise.all(ids.map(uid => verifyPlayerRound(uid, seats[uid].score)));
+    const checks = Object.fromEntries(ids.map((uid, idx) => [uid, checkList[idx]]));
+    const totals = Object.fromEntries(ids.map(uid => [uid, (seats[uid].totalScore || 0) + checks[uid].verified]));
+    // 棄権したプレイヤーは得点に関係なく最下位
+    const out = ids.filter(uid => seats[uid].out);
+    const roundRanks = rankBy(Object.fromEntries(ids.map(uid => [uid, checks[uid].verified])), out);
+    const standings = matchStandings(roomData, totals, out);
+    const verification = { round: roomData.currentRound, players: checks };
+    const eventsSnap = await getDocs(eventsCol(roomId));
+    const roundEvents = eventsSnap.docs.map(d => d.data()).filter(e => e.round === roomData.currentRound);
+    // リプレイ用のラウンド記録（配札はシードから、手順は moveLogs から復元する）
+    const roundRecord = {
+        round: roomData.currentRound,
+        seed: roomData.seed,
+        startedAt: roomData.startTime ? roomData.startTime.toMillis() : null,
+        rules,
+        durationMs: rules.durationSec * 1000,
+        players: Object.fromEntries(ids.map(uid => [uid, {
+            score: checks[uid].verified,
+            combo: checks[uid].maxCombo,
+            landed: attacksLanded(roundEvents, uid),
+            rank: roundRanks[uid]
+        }])),
+        attacks: roundEvents
+            .filter(e => e.type === 'attack')
+            .map(e => ({ id: e.seq, from: e.from, target: e.target, type: e.attackType, timestamp: e.timestamp }))
+    };
+
+    const totalFields = Object.fromEntries(ids.map(uid => [playerField(uid, 'totalScore'), totals[uid]]));
+    const finished = roomData.currentRound >= rules.maxRounds;
+    const roundFields = finished ? {
+        status: 'finished',
+        winner: matchWinner(roomData, standings),
+        standings,
+        ...totalFields,
+        ...Object.fromEntries(ids.map(uid => [playerField(uid, 'score'), 0])),
+        verification,
+        rounds: arrayUnion(roundRecord)
+    } : {
+        status: 'intermission',
+        standings,
+        ...totalFields,
+        verification,
+        rounds: arrayUnion(roundRecord)
+    };
+
+    // 別の端末（引き継いだ進行役など）が先に締めていれば何もしない
+    const roomRef = doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`);
+    const written = await runTransaction(db, async (transaction) => {
+      const roomDoc = await transaction.get(roomRef);
+      if (!roomDoc.exists()) throw "Room does not exist!";
+      const data = roomDoc.data();
+      if (data.status !== 'playing' || data.currentRound !== roomData.currentRound) return false;
+      transaction.update(roomRef, roundFields);
+      return true;
+    });
+    if (!written) return;
+    if (finished) await recordMatchStats();
+    await pruneEvents(eventsSnap.docs);
+  };
+
+  // 終了した試合を全プレイヤーの戦績と履歴に書き込み、レーティングを更新する（statsRecorded で一度だけ）
+  // 3 人以上の試合では、相手の得点は各ラウンド・合計とも最も高かった相手のものを残す
+  // チーム戦では自分の側・相手の側ともチームの合計を残す
+  const recordMatchStats = async () => {
+    const roomRef = doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`);
+    try {
+      await runTransaction(db, async (transaction) => {
+        const roomDoc = await transaction.get(roomRef);
+        if (!roomDoc.exists()) throw "Room does not exist!";
+        const data = roomDoc.data();
+        const ids = playerIds(data);
+        if (data.status !== 'finished' || data.statsRecorded || ids.length < MIN_PLAYERS || !data.standings) return;
+
+        const statsDocs = await Promise.all(ids.map(uid => transaction.get(statsRef(uid))));
+        const stats = Object.fromEntries(ids.map((uid, idx) => [uid, { ...EMPTY_STATS, ...(statsDocs[idx].exists() ? statsDocs[idx].data() : {}) }]));
+        const teamMatch = isTeamRoom(data);
+        const before = Object.fromEntries(ids.map(uid => [uid, stats[uid].rating]));
+        const ratings = teamMatch
+          ? teamMatchRatings(before, data.standings, Object.fromEntries(ids.map(uid => [uid, teamOf(data, uid)])))
+          : matchRatings(before, data.standings);
+        const rounds = [...(data.rounds || [])].sort((a, b) => a.round - b.round);
+        const roundScore = (r, uid) => r.players?.[uid]?.score || 0;
+        const finishedAt = Date.now();
+
+        ids.forEach(uid => {
+          const side = teamMatch ? teamIds(data, teamOf(data, uid)) : [uid];
+          const opponents = ids.filter(id => !side.includes(id));
+          const sideScore = (scoreOf) => side.reduce((sum, id) => sum + scoreOf(id), 0);
+          const opponentScore = (scoreOf) => (teamMatch
+            ? opponents.reduce((sum, id) => sum + scoreOf(id), 0)
+            : Math.max(...opponents.map(scoreOf)));
+          const result = matchResult(data, uid);
+          const summary = {
+            result,
+            roundScores: rounds.map(r => roundScore(r, uid)),
+            maxCombo: Math.max(0, ...rounds.map(r => r.players?.[uid]?.combo || 0)),
+            attacksLanded: rounds.reduce((sum, r) => sum + (r.players?.[uid]?.landed || 0), 0)
+          };
+          transaction.set(statsRef(uid), { ...addMatch(stats[uid], summary, ratings[uid]), updatedAt: serverTimestamp() });
+          transaction.set(doc(historyCol(uid), `${roomId}_${finishedAt}`), {
+            roomId,
+            opponents,
+            teammates: side.filter(id => id !== uid),
+            teammateName: side.filter(id => id !== uid).map(id => profileOf(id).displayName).join(', ') || null,
+            opponentName: opponents.map(id => profileOf(id).displayName).join(', '),
+            result,
+            place: data.standings[uid],
+            playerCount: ids.length,
+            forfeit: data.forfeit || null,
+            rounds: rounds.map(r => ({ round: r.round, score: sideScore(id => roundScore(r, id)), opponentScore: opponentScore(id => roundScore(r, id)) })),
+            total: sideScore(id => data.players[id].totalScore || 0),
+            opponentTotal: opponentScore(id => data.players[id].totalScore || 0),
+            ratingBefore: stats[uid].rating,
+            ratingAfter: ratings[uid],
+            finishedAt
+          });
         });
+        transaction.update(roomRef, { statsRecorded: true });
+      });
+    } catch (e) {
+      console.error("Stats update failed", e);
     }
   };
 
+  // ラウンド終了時にイベントを削除する（必要な情報はラウンド記録に残している）
+  const pruneEvents = async (eventDocs) => {
+    if (eventDocs.length === 0) return;
+    const batch = writeBatch(db);
+    eventDocs.forEach(d => batch.delete(d.ref));
+    await batch.commit();
+  };
+
   const nextRound = async () => {
-      if (!isHost) return;
+      if (!isController) return;
       await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
           status: 'count_down',
           currentRound: increment(1),
-          hostScore: 0,
-          guestScore: 0,
-          hostCharge: 0,
-          guestCharge: 0,
+          ...roundResetFields(roomData),
+          seed: createSeed(),
           startTime: serverTimestamp()
       });
   };
 
   // --- Interaction Logic ---
 
+  // 制限時間を過ぎたら、ラウンド終了がルームに届くまでの間も盤面を動かさない
+  // （ホストのタブがバックグラウンドだと終了の書き込みが遅れる。検証側も時間切れ後の手は読まない）
+  const timeIsUp = () => isTimeUp(rules, roomData?.startTime ? roomData.startTime.toMillis() : null, Date.now());
+
   const handleStockClick = () => {
-    if (!isPlayer) return;
-    if (deck.length === 0) {
-      if (waste.length === 0) return;
-      const newDeck = [...waste].map(c => ({...c, faceUp: false}));
-      setDeck(newDeck);
-      setWaste([]);
-      updateScore(-50);
-    } else {
-      const card = deck[0];
-      const newDeck = deck.slice(1);
-      const newWaste = [...waste, {...card, faceUp: true}];
-      setDeck(newDeck);
-      setWaste(newWaste);
+    if (!isPlayer || undoLockUntil || timeIsUp()) return;
+    if (statusEffects.lock) return;
+    const next = applyMove(board, { type: stock.length === 0 ? 'recycle' : 'draw' });
+    if (next) {
+      pushUndo();
+      setBoard(next);
+      recordMove(next.lastMove);
+      announce(describeMove(next.lastMove, next.waste[next.waste.length - 1]));
     }
     setSelectedCard(null);
   };
 
   const handleCardClick = (pileType, pileIndex, cardIndex, card) => {
-    if (!isPlayer) return;
+    if (!isPlayer || undoLockUntil || timeIsUp()) return;
     if (pileType === 'tableau' && frozenColumns[pileIndex]) return;
+    if (pileType === 'waste' && statusEffects.blind) return;
 
     const isTopCard = 
       (pileType === 'waste' && cardIndex === waste.length - 1) ||
@@ -423,12 +1049,11 @@ export default function App() {
 
     if (isTopCard && card) {
        for (let fIdx = 0; fIdx < 4; fIdx++) {
-           if (isValidFoundationMove(card, fIdx)) {
+           if (canMoveToFoundation(board, card, fIdx)) {
                executeMove(
                    { pileType, pileIndex, cardIndex, card }, 
                    { pileType: 'foundation', pileIndex: fIdx }
                );
-               updateScore(100, true);
                return; 
            }
        }
@@ -439,186 +1064,881 @@ export default function App() {
       if (pileType === 'tableau' && !card.faceUp) return;
       if (pileType === 'foundation') return; 
       setSelectedCard({ pileType, pileIndex, cardIndex, card });
+      announce(`Selected ${cardName(card)}`);
       return;
     }
 
     const source = selectedCard;
     if (source.card.id === card?.id) {
       setSelectedCard(null);
+      announce('Selection cleared');
       return;
     }
 
     if (pileType === 'foundation') {
-      if (isValidFoundationMove(source.card, pileIndex)) {
+      if (canMoveToFoundation(board, source.card, pileIndex)) {
         executeMove(source, { pileType, pileIndex });
-        updateScore(100, true);
       } else {
         setSelectedCard(null);
+        announce(`${cardName(source.card)} cannot go there`);
       }
       return;
     }
 
     if (pileType === 'tableau') {
-      if (isValidTableauMove(source.card, pileIndex)) {
+      if (canMoveToTableau(board, source.card, pileIndex)) {
         executeMove(source, { pileType, pileIndex });
       } else {
         setSelectedCard(null);
+        announce(`${cardName(source.card)} cannot go there`);
       }
       return;
     }
   };
 
-  const isValidFoundationMove = (card, pileIndex) => {
-    const targetPile = foundation[pileIndex];
-    if (targetPile.length === 0) return card.rank === 'A';
-    const topCard = targetPile[targetPile.length - 1];
-    return card.suit === topCard.suit && card.value === topCard.value + 1;
+  const toEngineMove = (source, dest) => ({
+    type: 'move',
+    from: { pile: source.pileType, index: source.pileIndex, cardIndex: source.cardIndex },
+    to: { pile: dest.pileType, index: dest.pileIndex }
+  });
+
+  const executeMove = (source, dest) => {
+    const next = applyMove(board, toEngineMove(source, dest));
+    setSelectedCard(null);
+    if (!next || timeIsUp()) return;
+    pushUndo();
+    setBoard(next);
+    recordMove(next.lastMove, isCleared(next));
+    announce(describeMove(next.lastMove, source.card));
+  };
+
+  // --- Auto Complete ---
+
+  // カードを組札の位置まで飛ばしてから盤面に反映する
+  const autoCompleteStep = () => {
+    if (timeIsUp()) return;
+    const move = nextAutoMove(board);
+    if (!move || (move.from.pile === 'tableau' && frozenColumns[move.from.index])) return;
+    const [card] = movingCards(board, move.from);
+    const from = document.getElementById(`card-${card.id}`)?.getBoundingClientRect();
+    const to = document.getElementById(`pile-foundation-${move.to.index}`)?.getBoundingClientRect();
+    if (!from || !to) {
+      landAutoMove(move);
+      return;
+    }
+    setAutoFlight({ card, rect: from, dx: to.left - from.left, dy: to.top - from.top, landed: false });
+    requestAnimationFrame(() => requestAnimationFrame(() => setAutoFlight(f => f && { ...f, landed: true })));
+    setTimeout(() => autoCompleteRef.current(move), AUTO_FLIGHT_MS);
+  };
+
+  const landAutoMove = (move) => {
+    const next = applyMove(board, move);
+    setAutoFlight(null);
+    if (!next || timeIsUp()) return;
+    setBoard(next);
+    setSelectedCard(null);
+    setUndoStack([]);
+    recordMove(next.lastMove, isCleared(next));
   };
+  autoCompleteRef.current = (move) => (move ? landAutoMove(move) : autoCompleteStep());
 
-  const isValidTableauMove = (card, pileIndex) => {
-    const targetPile = tableau[pileIndex];
-    if (targetPile.length === 0) return card.rank === 'K';
-    const topCard = targetPile[targetPile.length - 1];
-    return card.color !== topCard.color && card.value === topCard.value - 1;
+  // --- Drag & Drop ---
+
+  const canDragCard = (source) => {
+    if (!isPlayer || gameState !== 'playing' || undoLockUntil || timeIsUp()) return false;
+    if (source.pileType === 'waste') return !statusEffects.blind;
+    if (source.pileType === 'tableau') return !frozenColumns[source.pileIndex] && source.card.faceUp;
+    return false;
   };
 
-  const executeMove = (source, dest) => {
-    let cardsToMove = [];
-    if (source.pileType === 'waste') {
-      cardsToMove = [waste[waste.length - 1]];
-      setWaste(prev => prev.slice(0, -1));
-    } else if (source.pileType === 'tableau') {
-      const sourceCol = tableau[source.pileIndex];
-      cardsToMove = sourceCol.slice(source.cardIndex);
-      const newSourceCol = sourceCol.slice(0, source.cardIndex);
-      const lastIndex = newSourceCol.length - 1;
-      if (lastIndex >= 0 && !newSourceCol[lastIndex].faceUp) {
-          newSourceCol[lastIndex] = { ...newSourceCol[lastIndex], faceUp: true };
-          setTimeout(() => updateScore(5), 0);
-      }
-      setTableau(prev => { const newT = [...prev]; newT[source.pileIndex] = newSourceCol; return newT; });
+  const isLegalDrop = (source, target) => {
+    if (target.pileType === 'tableau' && frozenColumns[target.pileIndex]) return false;
+    return applyMove(board, toEngineMove(source, target)) !== null;
+  };
+
+  const handleDrop = (source, target) => {
+    if (!isLegalDrop(source, target)) return false;
+    executeMove(source, target);
+    return true;
+  };
+
+  const isDropHighlighted = (pileType, pileIndex) => (
+    !!drag && !drag.returning && isLegalDrop(drag.source, { pileType, pileIndex })
+  );
+
+  const isBeingDragged = (pileType, pileIndex, cardIndex) => (
+    !!drag && drag.source.pileType === pileType && drag.source.pileIndex === pileIndex && cardIndex >= drag.source.cardIndex
+  );
+
+  // --- Keyboard ---
+
+  // カーソルが指している山（場札では表向きの範囲に収める）
+  const cursorTarget = () => {
+    if (cursor.row === 'top') {
+      if (cursor.index === 0) return { pileType: 'stock' };
+      if (cursor.index === 1) return { pileType: 'waste', pileIndex: 0, cardIndex: waste.length - 1, card: waste[waste.length - 1] || null };
+      return { pileType: 'foundation', pileIndex: cursor.index - 2, cardIndex: null, card: null };
+    }
+    const pile = tableau[cursor.index] || [];
+    const firstFaceUp = Math.max(0, pile.findIndex(c => c.faceUp));
+    const top = pile.length - 1;
+    const cardIndex = cursor.cardIndex == null ? top : Math.min(Math.max(cursor.cardIndex, firstFaceUp), top);
+    return { pileType: 'tableau', pileIndex: cursor.index, cardIndex: Math.max(0, cardIndex), card: pile[cardIndex] || null, firstFaceUp, top };
+  };
+
+  const isCursorAt = (row, index, cardIndex = null) => {
+    if (!cursorVisible || cursor.row !== row || cursor.index !== index) return false;
+    return cardIndex == null || cursorTarget().cardIndex === cardIndex;
+  };
+
+  const cursorElementId = () => {
+    const target = cursorTarget();
+    if (target.pileType === 'tableau' && target.card) return `card-${target.card.id}`;
+    if (target.pileType === 'foundation' || target.pileType === 'tableau') return `pile-${target.pileType}-${target.pileIndex}`;
+    return `pile-${target.pileType}`;
+  };
+
+  const moveCursor = (key) => {
+    if (cursor.row === 'top') {
+      if (key === 'ArrowLeft') setCursor({ row: 'top', index: Math.max(0, cursor.index - 1), cardIndex: null });
+      if (key === 'ArrowRight') setCursor({ row: 'top', index: Math.min(TOP_TO_COLUMN.length - 1, cursor.index + 1), cardIndex: null });
+      if (key === 'ArrowDown') setCursor({ row: 'tableau', index: TOP_TO_COLUMN[cursor.index], cardIndex: null });
+      return;
+    }
+    const target = cursorTarget();
+    if (key === 'ArrowLeft') setCursor({ row: 'tableau', index: Math.max(0, cursor.index - 1), cardIndex: null });
+    if (key === 'ArrowRight') setCursor({ row: 'tableau', index: Math.min(tableau.length - 1, cursor.index + 1), cardIndex: null });
+    if (key === 'ArrowUp') {
+      if (target.cardIndex > target.firstFaceUp) setCursor({ ...cursor, cardIndex: target.cardIndex - 1 });
+      else setCursor({ row: 'top', index: COLUMN_TO_TOP[cursor.index], cardIndex: null });
+    }
+    if (key === 'ArrowDown' && target.cardIndex < target.top) {
+      setCursor({ ...cursor, cardIndex: target.cardIndex + 1 === target.top ? null : target.cardIndex + 1 });
+    }
+  };
+
+  // Enter はカーソル位置をタップしたのと同じ扱い
+  const activateCursor = () => {
+    const target = cursorTarget();
+    if (target.pileType === 'stock') handleStockClick();
+    else if (target.pileType === 'waste') { if (target.card) handleCardClick('waste', 0, target.cardIndex, target.card); }
+    else handleCardClick(target.pileType, target.pileIndex, target.cardIndex, target.card);
+  };
+
+  const sendCursorToFoundation = () => {
+    const target = cursorTarget();
+    if (!target.card || !canDragCard(target)) return;
+    if (target.pileType === 'tableau' && target.cardIndex !== target.top) {
+      announce('Only the top card can go to a foundation');
+      return;
+    }
+    const fIdx = foundation.findIndex((_, idx) => canMoveToFoundation(board, target.card, idx));
+    if (fIdx < 0) {
+      announce(`${cardName(target.card)} cannot go to a foundation yet`);
+      return;
+    }
+    executeMove(target, { pileType: 'foundation', pileIndex: fIdx });
+  };
+
+  const handleBoardKeyDown = (e) => {
+    // 盤面内のボタン（攻撃・UNDO など）のキー操作はそのまま通す
+    if (e.target !== e.currentTarget || !isPlayer || gameState !== 'playing' || mySurrendered) return;
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowRight':
+      case 'ArrowUp':
+      case 'ArrowDown':
+        moveCursor(e.key);
+        break;
+      case 'Enter':
+      case ' ':
+        activateCursor();
+        break;
+      case 'd':
+      case 'D':
+        handleStockClick();
+        break;
+      case 'f':
+      case 'F':
+        sendCursorToFoundation();
+        break;
+      case 'h':
+      case 'H':
+        showHint();
+        break;
+      case 'u':
+      case 'U':
+        undoMove();
+        break;
+      case 'Escape':
+        setSelectedCard(null);
+        break;
+      default:
+        return;
     }
+    e.preventDefault();
+    setCursorVisible(true);
+  };
 
-    if (dest.pileType === 'foundation') {
-      setFoundation(prev => { const newF = [...prev]; newF[dest.pileIndex] = [...newF[dest.pileIndex], cardsToMove[0]]; return newF; });
-    } else if (dest.pileType === 'tableau') {
-      setTableau(prev => { const newT = [...prev]; newT[dest.pileIndex] = [...newT[dest.pileIndex], ...cardsToMove]; return newT; });
+  // スクリーンリーダー向けのライブリージョンに読み上げ文を流す
+  const announce = (message) => {
+    if (message) setAnnouncement(message);
+  };
+
+  // --- Hints ---
+
+  // ヒントの減点は取り消せないよう、undo スタック側の得点も同じだけ下げる
+  const showHint = async () => {
+    if (!isPlayer || gameState !== 'playing' || mySurrendered || timeIsUp()) return;
+    const move = findHint(board);
+    setHint({ move, board });
+    announce(describeHint(move, board));
+    if (!move) return;
+
+    const penalty = rules.hintPenalty;
+    const newScore = myScore + penalty;
+    if (penalty !== 0) {
+      setMyScore(newScore);
+      setUndoStack(prev => prev.map(entry => ({ ...entry, score: entry.score + penalty })));
     }
+    await writeMoveLog({ type: 'hint' }, Date.now(), penalty !== 0 ? {
+      [myField('score')]: newScore
+    } : null);
+  };
+
+  const isHintSource = (pileType, pileIndex, cardIndex) => {
+    if (!activeHint) return false;
+    if (activeHint.type !== 'move') return pileType === 'stock';
+    const { from } = activeHint;
+    return from.pile === pileType && from.index === pileIndex && cardIndex >= from.cardIndex;
+  };
+
+  const isHintTarget = (pileType, pileIndex) => (
+    activeHint?.type === 'move' && activeHint.to.pile === pileType && activeHint.to.index === pileIndex
+  );
+
+  // このラウンドの残りを放棄する（全員が降参するとラウンドが終わる）
+  const surrenderRound = async () => {
+    if (!isPlayer || gameState !== 'playing' || mySurrendered) return;
+    if (!window.confirm('このラウンドを降参しますか？スコアは現在の値で確定します。')) return;
+    setSelectedCard(null);
+    await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
+      [myField('surrendered')]: true
+    });
+  };
+
+  // --- Undo ---
+
+  const pushUndo = () => {
+    setUndoStack(prev => [...prev, { board, score: myScore, charge: attackCharge }].slice(-UNDO_DEPTH));
+  };
+
+  // 盤面・得点・チャージを1手前に戻し、ルームのペナルティ（減点・ロック）を適用する
+  const undoMove = async () => {
+    if (!isPlayer || gameState !== 'playing' || undoLockUntil || undoStack.length === 0 || timeIsUp()) return;
+    const prev = undoStack[undoStack.length - 1];
+    const newScore = prev.score + rules.undoPenalty;
+
+    // 減点は残りの undo スタックにも反映し、続けて戻しても消えないようにする
+    setUndoStack(undoStack.slice(0, -1).map(entry => ({ ...entry, score: entry.score + rules.undoPenalty })));
+    setBoard(prev.board);
     setSelectedCard(null);
+    announce(`Undid last move. ${rules.undoPenalty} points`);
+    setCombo(0);
+    setAttackCharge(prev.charge);
+    setMyScore(newScore);
+
+    if (rules.undoLockoutMs > 0) {
+      setUndoLockUntil(Date.now() + rules.undoLockoutMs);
+      setTimeout(() => setUndoLockUntil(0), rules.undoLockoutMs);
+    }
+
+    await writeMoveLog({ type: 'undo' }, Date.now(), {
+      [myField('score')]: newScore,
+      [myField('charge')]: prev.charge
+    });
   };
 
-  const updateScore = async (points, isFoundationMove = false) => {
-    let multiplier = 1;
-    let addedScore = points;
+  // 手をログに追記し、得点が動いた場合はスコアも同じバッチで書き込む
+  // cleared: この手で盤面が完成した場合は残り時間ボーナスも記録し、ラウンドを終わらせる
+  const recordMove = async (move, cleared = false) => {
+    const now = Date.now();
+    const isFoundation = isFoundationMove(move);
+    let addedScore = scoreFor(move, rules.scoring);
     let newCharge = attackCharge;
 
-    if (isFoundationMove) {
-      const now = Date.now();
-      if (now - lastMoveTime < COMBO_WINDOW_MS) {
-        const newCombo = combo + 1;
-        setCombo(newCombo);
-        multiplier = 1 + (newCombo * 0.2); 
-      } else {
-        setCombo(1);
-      }
+    if (isFoundation) {
+      const newCombo = nextCombo(combo, lastMoveTime, now, rules.comboWindowMs);
+      setCombo(newCombo);
       setLastMoveTime(now);
       
-      addedScore = Math.floor(points * multiplier);
-
-      const chargeAmount = combo > 2 ? 2 : 1;
-      newCharge = attackCharge + chargeAmount;
-      if (newCharge >= ATTACK_THRESHOLD) {
-        sendAttack();
-        setAttackCharge(0);
-        newCharge = 0;
-      } else {
-        setAttackCharge(newCharge);
-      }
+      addedScore = Math.floor(addedScore * comboMultiplier(newCombo));
+
+      newCharge = Math.min(rules.maxCharge, attackCharge + chargeFor(newCombo));
+      setAttackCharge(newCharge);
     }
 
     const newScore = myScore + addedScore;
     setMyScore(newScore);
     
-    if (!roomData) return;
-    const scoreField = isHost ? 'hostScore' : 'guestScore';
-    const chargeField = isHost ? 'hostCharge' : 'guestCharge';
+    await writeMoveLog(move, now, (addedScore !== 0 || isFoundation) ? {
+      [myField('score')]: newScore,
+      [myField('charge')]: newCharge
+    } : null);
+    if (cleared) await recordClear(newScore, now);
+  };
 
-    await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
-      [scoreField]: newScore,
-      [chargeField]: newCharge
+  const recordClear = async (score, now) => {
+    const bonus = clearBonus(rules, roomData?.startTime ? roomData.startTime.toMillis() : null, now);
+    setMyScore(score + bonus);
+    setUndoStack([]); // 完成後は戻せない（検証側も clear の記録で履歴を切る）
+    announce(`Board cleared! Time bonus ${bonus} points`);
+    await writeMoveLog({ type: 'clear' }, now, {
+      [myField('score')]: score + bonus,
+      [myField('cleared')]: true
     });
   };
 
-  const triggerFreezeEffect = () => {
+  const writeMoveLog = async (move, now, roomFields) => {
+    if (!roomData) return;
+    const batch = writeBatch(db);
+    batch.set(moveLogRef(roomId, roomData.currentRound, user.uid), {
+      uid: user.uid,
+      round: roomData.currentRound,
+      seed: roomData.seed,
+      moves: arrayUnion(toLogEntry(move, moveSeqRef.current++, now))
+    }, { merge: true });
+    if (roomFields) {
+      batch.update(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), roomFields);
+    }
+    await batch.commit();
+  };
+
+  const triggerFreezeEffect = (durationMs = ATTACKS.freeze.durationMs) => {
     const availableCols = tableau.map((col, idx) => col.length > 0 ? idx : -1).filter(idx => idx !== -1);
     if (availableCols.length === 0) return;
     const targetCol = availableCols[Math.floor(Math.random() * availableCols.length)];
-    setFrozenColumns(prev => ({...prev, [targetCol]: Date.now() + 5000 }));
+    setFrozenColumns(prev => ({...prev, [targetCol]: Date.now() + durationMs }));
+    announce(`${ATTACKS.freeze.banner} Column ${targetCol + 1} is frozen for ${durationMs / 1000} seconds`);
     setTimeout(() => {
       setFrozenColumns(prev => { const newState = { ...prev }; delete newState[targetCol]; return newState; });
-    }, 5000);
+    }, durationMs);
   };
 
-  const sendAttack = async () => {
-    if (!roomData) return;
-    const opponentId = roomData.host === user.uid ? roomData.guest : roomData.host;
-    if (!opponentId) return;
-    await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
-      attacks: arrayUnion({ id: crypto.randomUUID(), target: opponentId, type: 'freeze', timestamp: Date.now() })
+  // 同じ効果を重ねて受けた場合は、後から受けた方の終了時刻まで続く
+  const applyStatusEffect = (effectId, durationMs) => {
+    setStatusEffects(prev => ({ ...prev, [effectId]: Date.now() + durationMs }));
+    setTimeout(() => {
+      setStatusEffects(prev => {
+        if (prev[effectId] > Date.now()) return prev;
+        const newState = { ...prev };
+        delete newState[effectId];
+        return newState;
+      });
+    }, durationMs);
+  };
+
+  // 山札の1枚を裏向きで列に埋める（盤面が変わるので手順ログにも残す）
+  const triggerBuryEffect = () => {
+    const availableCols = tableau.map((col, idx) => col.length > 0 ? idx : -1).filter(idx => idx !== -1);
+    if (availableCols.length === 0) return;
+    const targetCol = availableCols[Math.floor(Math.random() * availableCols.length)];
+    const next = applyMove(board, { type: 'bury', index: targetCol });
+    if (!next) return;
+    setBoard(next);
+    setSelectedCard(null);
+    setUndoStack([]);
+    recordMove(next.lastMove);
+    applyStatusEffect('bury', 1500);
+  };
+
+  const receiveAttack = (attackType) => {
+    const attack = ATTACKS[attackType];
+    if (!attack) return;
+    if (attackType === 'freeze') triggerFreezeEffect(attack.durationMs);
+    else if (attackType === 'bury') triggerBuryEffect();
+    else applyStatusEffect(attackType, attack.durationMs);
+    if (attackType !== 'freeze') announce(`${attack.banner} ${attack.description}`);
+  };
+
+  // 降参済みの相手は、狙える相手が他にいなければ狙う
+  const attackTarget = () => {
+    const standing = rivals.filter(uid => !roomData.players[uid].surrendered);
+    return pickTarget(targetMode, standing.length > 0 ? standing : rivals, matchScores);
+  };
+
+  const fireAttack = async (attackId) => {
+    if (!isPlayer || !roomData || !canAfford(attackId, attackCharge)) return;
+    const targetId = attackTarget();
+    if (!targetId) return;
+    const newCharge = attackCharge - ATTACKS[attackId].cost;
+    setAttackCharge(newCharge);
+    setUndoStack([]); // 撃った攻撃より前には戻れない（検証側も charge の記録で履歴を切る）
+    await writeMoveLog({ type: 'charge' }, Date.now(), {
+      [myField('charge')]: newCharge
     });
+    await publishEvent({ type: 'attack', target: targetId, attackType: attackId });
+    if (rivals.length > 1) announce(`${ATTACKS[attackId].label} sent to ${profileOf(targetId).displayName}`);
   };
 
+  // チーム戦: 味方にチャージを渡す
+  const donateCharge = async () => {
+    if (!isPlayer || !canDonate || gameState !== 'playing' || attackCharge < DONATE_AMOUNT) return;
+    const newCharge = attackCharge - DONATE_AMOUNT;
+    setAttackCharge(newCharge);
+    setUndoStack([]);
+    await writeMoveLog({ type: 'charge' }, Date.now(), {
+      [myField('charge')]: newCharge
+    });
+    await publishEvent({ type: 'donate', target: partnerId, amount: DONATE_AMOUNT });
+    announce(`Gave ${DONATE_AMOUNT} charge to ${profileOf(partnerId).displayName}`);
+  };
+
+  const receiveCharge = async (event) => {
+    if (gameState !== 'playing') return; // ラウンドの外で届いた分は次のラウンドでリセットされる
+    const newCharge = Math.min(rules.maxCharge, attackCharge + (event.amount || 0));
+    setAttackCharge(newCharge);
+    setUndoStack([]); // 受け取る前の手に戻ると、もらったチャージが消えてしまう
+    await writeMoveLog({ type: 'charge' }, Date.now(), {
+      [myField('charge')]: newCharge
+    });
+    announce(`${profileOf(event.from).displayName} gave you ${event.amount} charge`);
+  };
+
+  // ルームの eventSeq をトランザクションで採番し、events サブコレクションに追記する
+  const publishEvent = async (event) => {
+    const roomRef = doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`);
+    await runTransaction(db, async (transaction) => {
+      const roomDoc = await transaction.get(roomRef);
+      if (!roomDoc.exists()) throw "Room does not exist!";
+      const seq = (roomDoc.data().eventSeq || 0) + 1;
+      transaction.update(roomRef, { eventSeq: seq });
+      transaction.set(doc(eventsCol(roomId), String(seq).padStart(8, '0')), {
+        ...event,
+        seq,
+        from: user.uid,
+        round: roomDoc.data().currentRound,
+        timestamp: Date.now(),
+        createdAt: serverTimestamp()
+      });
+    });
+  };
+
+  const raiseShield = async () => {
+    if (!isPlayer || !roomData || shieldRef.current || attackCharge < SHIELD_COST) return;
+    const newCharge = attackCharge - SHIELD_COST;
+    shieldRef.current = true;
+    setShieldUp(true);
+    setAttackCharge(newCharge);
+    setUndoStack([]);
+    await writeMoveLog({ type: 'charge' }, Date.now(), {
+      [myField('charge')]: newCharge,
+      [myField('shield')]: true
+    });
+  };
+
+  const showDefenseBanner = (outcome) => {
+    setDefenseBanner(outcome);
+    announce(DEFENSE_BANNERS[outcome]);
+    if (defenseBannerTimeoutRef.current) clearTimeout(defenseBannerTimeoutRef.current);
+    defenseBannerTimeoutRef.current = setTimeout(() => setDefenseBanner(null), 1500);
+  };
+
+  // シールド → リフレクト → 被弾 の順に判定する
+  const defendAttack = async (event) => {
+    if (event.reflected) showDefenseBanner('reflected');
+
+    if (shieldRef.current) {
+      shieldRef.current = false;
+      setShieldUp(false);
+      showDefenseBanner('blocked');
+      await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
+        [myField('shield')]: false
+      });
+      await publishEvent({ type: 'defense', target: event.from, outcome: 'blocked', attackType: event.attackType });
+      return;
+    }
+
+    const comboActive = combo >= REFLECT_MIN_COMBO && Date.now() - lastMoveTime < rules.comboWindowMs;
+    if (!event.reflected && comboActive) {
+      showDefenseBanner('reflected');
+      await publishEvent({ type: 'attack', target: event.from, attackType: event.attackType, reflected: true });
+      return;
+    }
+
+    receiveAttack(event.attackType);
+  };
+
+  const handleRoomEvent = (event) => {
+    if (!isPlayer || event.target !== user.uid) return;
+    if (event.type === 'attack') defendAttack(event);
+    if (event.type === 'defense') showDefenseBanner(event.outcome);
+    if (event.type === 'donate') receiveCharge(event);
+  };
+  eventHandlerRef.current = handleRoomEvent;
+
   // --- Room Management ---
 
   const createRoom = async () => {
-    const newRoomId = Math.random().toString(36).substring(2, 7).toUpperCase();
-    await setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${newRoomId}`), {
-      host: user.uid,
-      guest: null,
-      status: 'waiting', 
-      hostScore: 0, guestScore: 0,
-      hostTotalScore: 0, guestTotalScore: 0,
-      hostCharge: 0, guestCharge: 0,
-      currentRound: 1,
-      spectators: [],
-      attacks: [],
-      createdAt: serverTimestamp()
-    });
+    const newRoomId = newRoomCode();
+    await setDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${newRoomId}`), newRoomFields(user.uid));
+    await setDoc(presenceRef(newRoomId, user.uid), { uid: user.uid, joinedAt: serverTimestamp() }, { merge: true });
+    setRoomKey(null);
     setRoomId(newRoomId);
     setGameState('room_lobby');
   };
 
-  const joinRoom = async (inputRoomId) => {
+  const updateRules = async (newRules) => {
+    if (!isHost || roomData?.status !== 'waiting') return;
+    if (newRules.maxPlayers < seatedIds.length) return; // 座っている人数より席は減らせない
+    await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
+      rules: normalizeRules(newRules)
+    });
+  };
+
+  // チーム戦の組み分け（試合前に本人かホストが切り替える。人数が揃うまで開始できない）
+  const switchTeam = async (uid) => {
+    if (roomData?.status !== 'waiting' || !roomData.players?.[uid]) return;
+    if (!isHost && uid !== user.uid) return;
+    await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
+      [playerField(uid, 'team')]: teamOf(roomData, uid) === 1 ? 0 : 1
+    });
+  };
+
+  const setRoomPrivate = async (isPrivate) => {
+    if (!isHost) return;
+    await updateDoc(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
+      private: isPrivate,
+      listed: !isPrivate && !roomData?.locked
+    });
+  };
+
+  // 合言葉を付けるとルームは招待リンク（または合言葉を知っている人）からしか入れなくなる
+  const setRoomPasscode = async (enabled) => {
+    if (!isHost) return;
+    const passcode = enabled ? newPasscode() : null;
+    const keysSnap = await getDocs(keysCol(roomId));
+    const batch = writeBatch(db);
+    keysSnap.docs.forEach(d => batch.delete(d.ref));
+    if (passcode) batch.set(keyRef(roomId, passcode), { createdAt: serverTimestamp() });
+    batch.update(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`), {
+      locked: enabled,
+      listed: !roomData?.private && !enabled
+    });
+    await batch.commit();
+    setRoomKey(passcode);
+  };
+
+  const copyInviteLink = async () => {
+    try {
+      await navigator.clipboard.writeText(inviteUrl(roomId, roomData?.locked ? roomKey : null));
+      setInviteCopied(true);
+      setTimeout(() => setInviteCopied(false), 2000);
+      announce('Invite link copied');
+    } catch (e) {
+      console.error("Copy failed", e);
+    }
+  };
+
+  // asSpectator: 空いている席があっても観戦者として入る（席に着けるのは試合前だけ）
+  const joinRoom = async (inputRoomId, asSpectator = false, passcode = null) => {
     const roomRef = doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${inputRoomId}`);
+    setJoinError(null);
     try {
         await runTransaction(db, async (transaction) => {
             const roomDoc = await transaction.get(roomRef);
             if (!roomDoc.exists()) throw "Room does not exist!";
             const data = roomDoc.data();
-
-            if (!data.guest) {
-                transaction.update(roomRef, { guest: user.uid });
-            } else if (data.guest !== user.uid && data.host !== user.uid) {
+            if (data.status === 'finished') throw "Room has finished!";
+
+            if (data.players?.[user.uid]) return;
+            // 観戦中のルームで席に着くときは、入った時点で合言葉を確かめている
+            const spectating = (data.spectators || []).includes(user.uid);
+            if (data.locked && !spectating) {
+                const key = isPasscode(passcode) ? await transaction.get(keyRef(inputRoomId, passcode)) : null;
+                if (!key?.exists()) throw "Wrong passcode!";
+            }
+            const seatOpen = data.status === 'waiting' && Object.keys(data.players || {}).length < normalizeRules(data.rules).maxPlayers;
+            if (seatOpen && !asSpectator) {
+                transaction.update(roomRef, {
+                    [`players.${user.uid}`]: newSeat(nextSeat(data.players), nextTeam(data.players)),
+                    spectators: (data.spectators || []).filter(uid => uid !== user.uid)
+                });
+            } else {
                 transaction.update(roomRef, { spectators: arrayUnion(user.uid) });
             }
         });
+        await setDoc(presenceRef(inputRoomId, user.uid), { uid: user.uid, joinedAt: serverTimestamp() }, { merge: true });
+        if (passcode) setRoomKey(passcode);
         setRoomId(inputRoomId);
         setGameState('room_lobby');
+        setBrowserOpen(false);
     } catch (e) {
         console.error("Join failed", e);
-        alert("ルームに参加できませんでした。");
+        setJoinError(JOIN_ERRORS[e] || JOIN_ERRORS.default);
+        setBrowserOpen(false);
     }
   };
+  joinRoomRef.current = joinRoom;
 
-  const handleGiveUp = async () => {
-    if (!isPlayer) return;
-    if (!window.confirm('このラウンドを降参しますか？')) return;
-    if (isHost) handleTimeUp(); 
-    else {
-        alert("ホストのみがラウンドを終了できます（機能制限）");
+  // --- Quick Match ---
+
+  const joinQueue = async () => {
+    if (!user || queue) return;
+    try {
+      const statsSnap = await getDoc(statsRef(user.uid));
+      const { rating } = { ...EMPTY_STATS, ...(statsSnap.exists() ? statsSnap.data() : {}) };
+      const now = Date.now();
+      const entry = { uid: user.uid, rating, preferSimilar, queuedAt: now, beat: now, roomId: null };
+      await setDoc(queueRef(user.uid), entry);
+      setQueueClock(now);
+      setQueue(entry);
+      announce('Searching for an opponent');
+    } catch (e) {
+      console.error("Queue join failed", e);
+      alert("クイックマッチを開始できませんでした。");
+    }
+  };
+
+  // キューを見て相手を選び、二人のエントリがまだ空いていることをトランザクション内で確かめてからルームを作る
+  const matchmake = async () => {
+    if (!user || !queue || matchingRef.current) return;
+    matchingRef.current = true;
+    try {
+      const snapshot = await getDocs(query(queueCol(), orderBy('queuedAt'), limit(QUEUE_SCAN_LIMIT)));
+      const opponent = pickOpponent(queue, snapshot.docs.map(d => d.data()), Date.now());
+      if (!opponent) return;
+
+      const newRoomId = newRoomCode();
+      await runTransaction(db, async (transaction) => {
+        const [mine, theirs] = await Promise.all([
+          transaction.get(queueRef(user.uid)),
+          transaction.get(queueRef(opponent.uid))
+        ]);
+        if (!mine.exists() || mine.data().roomId) return; // 既に誰かと組まれている
+        if (!theirs.exists() || theirs.data().roomId) return;
+
+        transaction.set(doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${newRoomId}`), newRoomFields(user.uid, [opponent.uid]));
+        transaction.update(queueRef(user.uid), { roomId: newRoomId });
+        transaction.update(queueRef(opponent.uid), { roomId: newRoomId });
+      });
+    } catch (e) {
+      console.error("Matchmaking failed", e);
+    } finally {
+      matchingRef.current = false;
+    }
+  };
+  matchmakeRef.current = matchmake;
+
+  const enterMatchedRoom = async (matchedRoomId) => {
+    setQueue(null);
+    try {
+      await deleteDoc(queueRef(user.uid));
+      await setDoc(presenceRef(matchedRoomId, user.uid), { uid: user.uid, joinedAt: serverTimestamp() }, { merge: true });
+      setRoomId(matchedRoomId);
+      setGameState('room_lobby');
+      announce('Opponent found');
+    } catch (e) {
+      console.error("Join failed", e);
+      alert("ルームに参加できませんでした。");
+    }
+  };
+  enterMatchRef.current = enterMatchedRoom;
+
+  // キャンセルより先に組まれていた場合はそのままルームへ入る
+  const leaveQueue = async () => {
+    try {
+      const matchedRoomId = await runTransaction(db, async (transaction) => {
+        const entry = await transaction.get(queueRef(user.uid));
+        if (!entry.exists()) return null;
+        if (entry.data().roomId) return entry.data().roomId;
+        transaction.delete(queueRef(user.uid));
+        return null;
+      });
+      if (matchedRoomId) enterMatchedRoom(matchedRoomId);
+      else setQueue(null);
+    } catch (e) {
+      console.error("Queue leave failed", e);
     }
   };
 
+  // 落ちた進行役 staleId から進行役を引き継ぐ。試合前なら HOST の席ごと、試合中なら進行役だけを引き継ぎ、
+  // 観戦者が引き継いだ場合は次の試合で席に着く
+  const claimController = async (staleId) => {
+    const roomRef = doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`);
+    try {
+      await runTransaction(db, async (transaction) => {
+        const roomDoc = await transaction.get(roomRef);
+        if (!roomDoc.exists()) throw "Room does not exist!";
+        const data = roomDoc.data();
+        if ((data.controller || data.host) !== staleId) return; // 既に誰かが引き継いだ
+
+        if (data.status === 'waiting') {
+          const players = { ...data.players };
+          delete players[staleId];
+          if (!players[user.uid]) players[user.uid] = newSeat(nextSeat(players), nextTeam(players));
+          transaction.update(roomRef, {
+            host: user.uid,
+            controller: user.uid,
+            players,
+            spectators: (data.spectators || []).filter(uid => uid !== user.uid)
+          });
+          return;
+        }
+        const isSeated = !!data.players?.[user.uid];
+        transaction.update(roomRef, {
+          controller: user.uid,
+          ...(isSeated ? {} : { nextPlayers: arrayUnion(user.uid) })
+        });
+      });
+      announce('You are now running this room');
+    } catch (e) {
+      console.error("Host migration failed", e);
+      migrationClaimedRef.current = null;
+    }
+  };
+  migrateRef.current = claimController;
+
+  // 試合終了後、進行役が同じルームで次の試合を始める（オンラインの参加者で席を組み直す）
+  const startNewMatch = async () => {
+    if (!isController || roomData?.status !== 'finished') return;
+    const roomRef = doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`);
+    const [logsSnap, boardsSnap] = await Promise.all([
+      getDocs(collection(roomRef, 'moveLogs')),
+      getDocs(collection(roomRef, 'boards'))
+    ]);
+    await runTransaction(db, async (transaction) => {
+      const roomDoc = await transaction.get(roomRef);
+      if (!roomDoc.exists()) throw "Room does not exist!";
+      const data = roomDoc.data();
+      if (data.status !== 'finished') return;
+
+      // 進行役 → 順番待ちの観戦者 → 前の試合のオンラインのプレイヤー の順に席を埋める
+      const queued = data.nextPlayers || [];
+      const seated = playerIds(data).filter(uid => !queued.includes(uid) && isOnline(uid));
+      const newHost = seated.includes(user.uid) ? user.uid : (seated[0] || user.uid);
+      const lineup = [...new Set([newHost, ...queued, ...seated])].slice(0, normalizeRules(data.rules).maxPlayers);
+      const everyone = [...new Set([...playerIds(data), ...(data.spectators || [])])];
+
+      transaction.update(roomRef, {
+        host: newHost,
+        controller: newHost,
+        players: Object.fromEntries(lineup.map((uid, idx) => [uid, newSeat(idx, data.players?.[uid]?.team ?? idx % 2)])),
+        nextPlayers: [],
+        spectators: everyone.filter(uid => !lineup.includes(uid)),
+        status: 'waiting',
+        currentRound: 1,
+        rounds: [],
+        winner: null,
+        standings: null,
+        forfeit: null,
+        statsRecorded: false,
+        verification: null
+      });
+    });
+    // 前の試合の手順ログと盤面は同じパスに書かれるため消しておく
+    const batch = writeBatch(db);
+    [...logsSnap.docs, ...boardsSnap.docs].forEach(d => batch.delete(d.ref));
+    await batch.commit();
+  };
+
+  // ルームを抜けてタイトルに戻る（保存していたセッションも消す）
+  const leaveRoom = () => {
+    clearSession();
+    if (roomId && user) deleteDoc(presenceRef(roomId, user.uid)).catch(e => console.error("Presence cleanup failed", e));
+    forfeitClaimedRef.current = null;
+    migrationClaimedRef.current = null;
+    setPresence({});
+    setRoomKey(null);
+    setJoinError(null);
+    setGiveUpOpen(false);
+    if (timerRef.current) clearInterval(timerRef.current);
+    setRoomId('');
+    setRoomData(null);
+    setGameState('lobby');
+    setBoard(EMPTY_STATE);
+    setSelectedCard(null);
+    setUndoStack([]);
+    setMyScore(0);
+    setAttackCharge(0);
+    setLiveBoards({});
+    setReplayRecord(null);
+    eventCursorRef.current = null;
+    clearEvents();
+  };
+
+  // loserId を棄権にする（以降のラウンドには出ず、順位は最下位）。残りが 1 人になれば試合を終える
+  // チーム戦ではメンバーが欠けた時点でそのチームの負けとして終える
+  // reason: 'surrender' | 'disconnect'
+  const forfeitMatch = async (loserId, reason) => {
+    const roomRef = doc(db, 'artifacts', appId, 'public', 'data', 'rooms', `room_${roomId}`);
+    try {
+      await runTransaction(db, async (transaction) => {
+        const roomDoc = await transaction.get(roomRef);
+        if (!roomDoc.exists()) throw "Room does not exist!";
+        const data = roomDoc.data();
+        const seat = data.players?.[loserId];
+        if (!IN_PROGRESS_STATUSES.includes(data.status) || !seat || seat.out) return;
+
+        const ids = playerIds(data);
+        const out = [...ids.filter(uid => data.players[uid].out), loserId];
+        const outFields = { [playerField(loserId, 'out')]: true, [playerField(loserId, 'surrendered')]: true };
+        if (!isTeamRoom(data) && ids.length - out.length >= MIN_PLAYERS) {
+          transaction.update(roomRef, outFields);
+          return;
+        }
+        const standings = matchStandings(data, Object.fromEntries(ids.map(uid => [uid, data.players[uid].totalScore || 0])), out);
+        transaction.update(roomRef, {
+          ...outFields,
+          status: 'finished',
+          winner: matchWinner(data, standings),
+          standings,
+          forfeit: { by: loserId, reason }
+        });
+      });
+      await recordMatchStats();
+    } catch (e) {
+      console.error("Forfeit failed", e);
+      forfeitClaimedRef.current = null;
+    }
+  };
+  forfeitRef.current = forfeitMatch;
+
+  const surrenderMatch = async () => {
+    if (!isPlayer) return;
+    const message = teamRoom ? '試合を降参しますか？相手チームの勝利になります。'
+      : rivals.length > 1 ? '試合を降参しますか？最下位として扱われます。' : '試合を降参しますか？相手の勝利になります。';
+    if (!window.confirm(message)) return;
+    setGiveUpOpen(false);
+    await forfeitMatch(user.uid, 'surrender');
+  };
+
+  const openStats = async () => {
+    if (!user) return;
+    const [statsSnap, historySnap] = await Promise.all([
+      getDoc(statsRef(user.uid)),
+      getDocs(query(historyCol(user.uid), orderBy('finishedAt', 'desc'), limit(HISTORY_LIMIT)))
+    ]);
+    setStatsView({
+      stats: { ...EMPTY_STATS, ...(statsSnap.exists() ? statsSnap.data() : {}) },
+      history: historySnap.docs.map(d => ({ id: d.id, ...d.data() }))
+    });
+  };
+
+  const openReplay = async () => {
+    if (!roomData?.rounds) return;
+    const players = seatedIds.map(uid => ({ uid, label: profileOf(uid).displayName }));
+    const rounds = await Promise.all(roomData.rounds.map(async (r) => {
+        const logs = await Promise.all(players.map(p => getDoc(moveLogRef(roomId, r.round, p.uid))));
+        return {
+            ...r,
+            players: players.map((p, idx) => ({ ...p, moves: logs[idx].exists() ? logs[idx].data().moves : [] })),
+            attacks: r.attacks || []
+        };
+    }));
+    setReplayRecord({ rounds: [...rounds].sort((a, b) => a.round - b.round) });
+  };
+
   const formatTime = (seconds) => {
     const m = Math.floor(seconds / 60);
     const s = seconds % 60;
@@ -628,6 +1948,32 @@ export default function App() {
   return (
     <div className="h-[100dvh] bg-gradient-to-b from-slate-900 to-indigo-950 font-sans text-gray-100 overflow-hidden select-none touch-manipulation flex flex-col">
       
+      <div aria-live="polite" aria-atomic="true" className="sr-only">{announcement}</div>
+
+      {/* Drag Ghost */}
+      {drag && (
+        <div
+          className={`fixed z-[100] pointer-events-none ${drag.returning ? 'transition-transform duration-150 ease-out' : ''}`}
+          style={{ left: drag.rect.left, top: drag.rect.top, width: drag.rect.width, transform: `translate(${drag.dx}px, ${drag.dy}px)` }}
+        >
+          {(drag.source.pileType === 'tableau' ? tableau[drag.source.pileIndex].slice(drag.source.cardIndex) : [drag.source.card]).map((card, i) => (
+            <div key={card.id} className="absolute w-full drop-shadow-2xl" style={{ top: `${i * 1.8}rem`, zIndex: i }}>
+              <Card card={card} />
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Auto Complete Flight */}
+      {autoFlight && (
+        <div
+          className="fixed z-[100] pointer-events-none transition-transform ease-out"
+          style={{ left: autoFlight.rect.left, top: autoFlight.rect.top, width: autoFlight.rect.width, transitionDuration: `${AUTO_FLIGHT_MS}ms`, transform: autoFlight.landed ? `translate(${autoFlight.dx}px, ${autoFlight.dy}px)` : 'none' }}
+        >
+          <Card card={autoFlight.card} />
+        </div>
+      )}
+
       {/* Header */}
       <header className="bg-black/40 backdrop-blur-md px-2 py-1 flex justify-between items-center border-b border-white/10 shrink-0 h-12 relative z-20">
         {(gameState !== 'lobby' && gameState !== 'room_lobby') && (
@@ -645,11 +1991,15 @@ export default function App() {
                     )}
                 </div>
                 <div>
-                    <div className="text-[8px] text-gray-400 uppercase tracking-wider font-bold">
-                        {isHost ? 'HOST (YOU)' : isSpectator ? 'HOST' : 'GUEST (YOU)'}
+                    <div className="text-[8px] text-gray-400 uppercase tracking-wider font-bold flex items-center gap-1 max-w-[6rem]">
+                        <span className={`rounded-full ${teamRoom ? `ring-1 ${TEAM_RINGS[teamOf(roomData, headerLeadId)] || ''}` : ''}`}>
+                            <Avatar profile={profileOf(headerLeadId)} size={12} />
+                        </span>
+                        <span className="truncate">{profileOf(headerLeadId).displayName}</span>
+                        {!isSpectator && <span className="shrink-0">(YOU)</span>}
                     </div>
                     <div className="font-black text-base leading-none font-mono tabular-nums">
-                        {isSpectator ? roomData?.hostScore || 0 : myScore}
+                        {isSpectator ? roomData?.players?.[headerLeadId]?.score || 0 : myScore}
                     </div>
                 </div>
             </div>
@@ -660,6 +2010,9 @@ export default function App() {
                     <>
                         <div className="flex items-center gap-2">
                             <div className="bg-white/10 px-1.5 rounded text-[10px] font-bold text-indigo-200">R{roomData?.currentRound}</div>
+                            {roomData?.seed != null && (
+                                <div className="text-[8px] font-mono text-gray-500" title="Deal seed">#{formatSeed(roomData.seed)}</div>
+                            )}
                             <div className={`flex items-center gap-1 font-mono text-base font-bold ${timeLeft < 30 ? 'text-red-400 animate-pulse' : 'text-white'}`}>
                                 <Clock size={12} />
                                 {formatTime(timeLeft)}
@@ -670,10 +2023,19 @@ export default function App() {
                         {!isSpectator && (
                             <>
                                 {/* Attack Gauge */}
-                                <div className="flex gap-0.5 mt-0.5">
-                                   {[...Array(ATTACK_THRESHOLD)].map((_, i) => (
-                                       <div key={i} className={`w-2 h-2 rounded-sm border border-black/50 transition-all duration-300 ${i < attackCharge ? 'bg-gradient-to-tr from-red-600 to-orange-400 shadow-[0_0_8px_rgba(239,68,68,0.8)] scale-110' : 'bg-gray-800'}`} />
-                                   ))}
+                                <div className="flex items-center gap-1 mt-0.5">
+                                    <div className="flex gap-0.5">
+                                       {[...Array(rules.maxCharge)].map((_, i) => (
+                                           <div key={i} className={`w-2 h-2 rounded-sm border border-black/50 transition-all duration-300 ${i < attackCharge ? 'bg-gradient-to-tr from-red-600 to-orange-400 shadow-[0_0_8px_rgba(239,68,68,0.8)] scale-110' : 'bg-gray-800'}`} />
+                                       ))}
+                                    </div>
+                                    {/* Affordable Attacks */}
+                                    <div className="flex gap-0.5">
+                                       {ATTACK_LIST.map(attack => {
+                                           const Icon = ATTACK_ICONS[attack.id];
+                                           return <Icon key={attack.id} size={8} className={attackCharge >= attack.cost ? 'text-orange-300' : 'text-gray-700'} />;
+                                       })}
+                                    </div>
                                 </div>
 
                                 {/* Combo Bar */}
@@ -690,6 +2052,11 @@ export default function App() {
 
                         <div className="flex gap-4 mt-1 opacity-50 text-[8px]">
                             {isSpectator && <span>WATCHING MATCH</span>}
+                            {liveTeamScores && (
+                                <span className="font-mono font-bold">
+                                    <span className="text-sky-300">{TEAM_LABELS[0]} {liveTeamScores[0]}</span> : <span className="text-rose-300">{liveTeamScores[1]} {TEAM_LABELS[1]}</span>
+                                </span>
+                            )}
                         </div>
                     </>
                 ) : (
@@ -697,25 +2064,44 @@ export default function App() {
                 )}
             </div>
 
-            {/* Right: Rival */}
+            {/* Right: Rivals（3 人以上なら名前を省いて詰める） */}
             <div className="flex items-center gap-2 text-right">
-                <div className="flex flex-col items-end">
-                    <div className="text-[8px] text-gray-400 uppercase tracking-wider font-bold">
-                        {isSpectator ? 'GUEST' : 'RIVAL'}
-                    </div>
-                    <div className="font-black text-base leading-none font-mono tabular-nums text-gray-300">
-                        {isSpectator ? roomData?.guestScore || 0 : (isHost ? roomData?.guestScore : roomData?.hostScore) || 0}
-                    </div>
-                    <div className="flex gap-0.5 mt-0.5">
-                        {[...Array(ATTACK_THRESHOLD)].map((_, i) => {
-                            const chg = isSpectator ? roomData?.guestCharge : (isHost ? roomData?.guestCharge : roomData?.hostCharge);
-                            return <div key={i} className={`w-1.5 h-1.5 rounded-full border border-black/30 ${i < (chg||0) ? 'bg-red-500' : 'bg-gray-700'}`} />
-                        })}
+                {headerRivalIds.map(uid => {
+                    const seat = roomData.players[uid];
+                    const compact = headerRivalIds.length > 1;
+                    return (
+                        <div key={`rival-${uid}`} title={profileOf(uid).displayName} className={`flex flex-col items-end ${seat.surrendered ? 'opacity-40' : ''}`}>
+                            <div className="text-[8px] text-gray-400 uppercase tracking-wider font-bold flex items-center gap-1 max-w-[6rem]">
+                                {!compact && <span className="truncate">{profileOf(uid).displayName}</span>}
+                                <span className={`rounded-full ${isPlayer && targetMode === uid ? 'ring-1 ring-red-500' : teamRoom ? `ring-1 ${TEAM_RINGS[teamOf(roomData, uid)] || ''}` : ''}`}>
+                                    <Avatar profile={profileOf(uid)} size={12} />
+                                </span>
+                                {seat.shield && (
+                                    <Shield size={9} className="inline text-cyan-300" />
+                                )}
+                            </div>
+                            <div className="font-black text-base leading-none font-mono tabular-nums text-gray-300">
+                                {seat.score || 0}
+                            </div>
+                            {compact ? (
+                                <div className="flex items-center gap-0.5 mt-0.5 text-[8px] font-mono text-red-400">
+                                    <Zap size={8} /> {seat.charge || 0}
+                                </div>
+                            ) : (
+                                <div className="flex gap-0.5 mt-0.5">
+                                    {[...Array(rules.maxCharge)].map((_, i) => (
+                                        <div key={i} className={`w-1.5 h-1.5 rounded-full border border-black/30 ${i < (seat.charge || 0) ? 'bg-red-500' : 'bg-gray-700'}`} />
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+                    );
+                })}
+                {headerRivalIds.length <= 1 && (
+                    <div className="bg-slate-800 p-1.5 rounded-lg shadow-lg border border-slate-600">
+                        <Users size={14} className="text-red-400" />
                     </div>
-                </div>
-                <div className="bg-slate-800 p-1.5 rounded-lg shadow-lg border border-slate-600">
-                    <Users size={14} className="text-red-400" />
-                </div>
+                )}
             </div>
         </>
         )}
@@ -742,22 +2128,71 @@ export default function App() {
                 </h1>
                 <p className="text-indigo-200 text-xs tracking-widest uppercase opacity-80">Competitive Solitaire</p>
                 <div className="mt-4 flex justify-center gap-2 text-[10px] text-gray-400 border border-white/10 rounded-full px-4 py-1 bg-black/20">
-                    <span className="flex items-center gap-1"><Clock size={10}/> 3 MINS</span>
+                    {/* 新しいルームの初期ルール（ホストがルームロビーで変えられる） */}
+                    <span className="flex items-center gap-1"><Clock size={10}/> {DEFAULT_RULES.durationSec / 60} MINS</span>
                     <span>•</span>
-                    <span className="flex items-center gap-1"><Swords size={10}/> 3 ROUNDS</span>
+                    <span className="flex items-center gap-1"><Swords size={10}/> {DEFAULT_RULES.maxRounds} ROUNDS</span>
                 </div>
             </div>
             
             <div className="bg-black/20 backdrop-blur-sm p-4 sm:p-6 rounded-2xl border border-white/5 space-y-4 w-full max-w-[300px] sm:max-w-xs box-border">
-               <button 
-                onClick={createRoom}
-                className="w-full flex items-center justify-center gap-3 bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-3.5 px-6 rounded-xl shadow-[0_4px_0_rgb(55,48,163)] active:shadow-none active:translate-y-[4px] transition-all"
-              >
-                <Play size={18} /> CREATE ROOM
-              </button>
-              <div className="flex gap-2 w-full">
-                  <input type="text" placeholder="ID" className="flex-1 min-w-0 bg-black/40 border-2 border-white/10 rounded-xl px-3 text-white placeholder-white/20 outline-none focus:border-indigo-400 transition-colors uppercase text-center font-mono tracking-widest" id="roomInput"/>
-                  <button onClick={() => { const val = document.getElementById('roomInput').value.toUpperCase(); if(val) joinRoom(val); }} className="shrink-0 bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 px-4 rounded-xl shadow-[0_4px_0_rgb(51,65,85)] active:shadow-none active:translate-y-[4px] transition-all">JOIN</button>
+               {user && <ProfileEditor profile={profileOf(user.uid)} onSave={saveProfile} />}
+               {joinError && (
+                <div role="alert" className="flex items-start gap-2 bg-red-900/40 border border-red-500/40 rounded-xl p-3 text-xs text-red-200">
+                  <AlertCircle size={14} className="shrink-0 mt-0.5 text-red-400" />
+                  <span className="flex-1">{joinError}</span>
+                  <button onClick={() => setJoinError(null)} aria-label="Dismiss" className="shrink-0 text-red-300 hover:text-white"><X size={12} /></button>
+                </div>
+               )}
+               {invite && !joinError && (
+                <div className="text-center text-xs text-indigo-200 animate-pulse">JOINING {invite.roomId}...</div>
+               )}
+               {queue ? (
+                <div className="bg-emerald-900/30 border border-emerald-500/30 rounded-xl p-4 flex flex-col items-center gap-2">
+                  <div className="flex items-center gap-2 text-emerald-300 font-bold text-sm">
+                    <Search size={16} className="animate-pulse" /> SEARCHING...
+                  </div>
+                  <div className="font-mono text-2xl font-black tabular-nums">{formatTime(Math.floor(Math.max(0, queueClock - queue.queuedAt) / 1000))}</div>
+                  <div className="text-[10px] text-gray-400 font-mono">
+                    {queue.preferSimilar
+                      ? `RATING ${queue.rating} ±${ratingWindow(queueClock - queue.queuedAt)}`
+                      : `RATING ${queue.rating} · ANY OPPONENT`}
+                  </div>
+                  <button onClick={leaveQueue} className="flex items-center gap-1 text-xs font-bold text-gray-300 bg-white/10 hover:bg-white/20 px-4 py-1.5 rounded-lg transition-colors">
+                    <X size={12} /> CANCEL
+                  </button>
+                </div>
+               ) : (
+                <>
+                  <button 
+                    onClick={joinQueue}
+                    className="w-full flex items-center justify-center gap-3 bg-emerald-600 hover:bg-emerald-500 text-white font-bold py-3.5 px-6 rounded-xl shadow-[0_4px_0_rgb(6,95,70)] active:shadow-none active:translate-y-[4px] transition-all"
+                  >
+                    <Search size={18} /> QUICK MATCH
+                  </button>
+                  <label className="flex items-center justify-center gap-2 text-[10px] text-gray-400 cursor-pointer">
+                    <input type="checkbox" checked={preferSimilar} onChange={(e) => setPreferSimilar(e.target.checked)} className="accent-emerald-500" />
+                    PREFER SIMILAR RATING
+                  </label>
+                  <button 
+                    onClick={createRoom}
+                    className="w-full flex items-center justify-center gap-3 bg-indigo-600 hover:bg-indigo-500 text-white font-bold py-3.5 px-6 rounded-xl shadow-[0_4px_0_rgb(55,48,163)] active:shadow-none active:translate-y-[4px] transition-all"
+                  >
+                    <Play size={18} /> CREATE ROOM
+                  </button>
+                  <div className="flex gap-2 w-full">
+                      <input type="text" placeholder="ID" className="flex-1 min-w-0 bg-black/40 border-2 border-white/10 rounded-xl px-3 text-white placeholder-white/20 outline-none focus:border-indigo-400 transition-colors uppercase text-center font-mono tracking-widest" id="roomInput"/>
+                      <button onClick={() => { const val = document.getElementById('roomInput').value.toUpperCase(); if(val) joinRoom(val); }} className="shrink-0 bg-slate-700 hover:bg-slate-600 text-white font-bold py-3 px-4 rounded-xl shadow-[0_4px_0_rgb(51,65,85)] active:shadow-none active:translate-y-[4px] transition-all">JOIN</button>
+                  </div>
+                </>
+               )}
+              <div className="flex gap-2">
+                <button onClick={() => setBrowserOpen(true)} className="flex-1 flex items-center justify-center gap-2 text-xs font-bold text-indigo-200 bg-white/5 hover:bg-white/10 py-2 rounded-xl border border-white/10 transition-colors">
+                  <List size={14} /> ROOMS
+                </button>
+                <button onClick={openStats} className="flex-1 flex items-center justify-center gap-2 text-xs font-bold text-indigo-200 bg-white/5 hover:bg-white/10 py-2 rounded-xl border border-white/10 transition-colors">
+                  <BarChart3 size={14} /> STATS
+                </button>
               </div>
             </div>
           </div>
@@ -765,57 +2200,108 @@ export default function App() {
 
         {/* Room Lobby (Waiting Room) */}
         {gameState === 'room_lobby' && (
-           <div className="flex-1 flex flex-col items-center justify-center p-4">
+           <div className="flex-1 flex flex-col items-center justify-center p-4 overflow-y-auto">
              <div className="w-full max-w-sm bg-slate-900/80 border border-white/10 rounded-2xl p-6 shadow-2xl backdrop-blur-md">
-                <div className="flex justify-between items-center mb-6 border-b border-white/10 pb-4">
+                <div className="flex justify-between items-center mb-4 border-b border-white/10 pb-4">
                     <h2 className="text-xl font-bold text-white flex items-center gap-2"><Users size={20}/> ROOM LOBBY</h2>
-                    <span className="font-mono text-indigo-400 font-bold bg-indigo-900/30 px-3 py-1 rounded select-all">{roomId}</span>
+                    <div className="flex items-center gap-2">
+                        <button
+                          onClick={() => setRoomPrivate(!roomData?.private)}
+                          disabled={!isHost}
+                          aria-label={roomData?.private ? 'Private room' : 'Public room'}
+                          className={`flex items-center gap-1 text-[10px] font-bold px-2 py-1 rounded transition-colors ${roomData?.private ? 'bg-yellow-600/30 text-yellow-300' : 'bg-white/5 text-gray-400'} ${isHost ? 'hover:bg-white/10' : 'cursor-default'}`}
+                        >
+                          {roomData?.private ? <><Lock size={10} /> PRIVATE</> : <><Globe size={10} /> PUBLIC</>}
+                        </button>
+                        <span className="font-mono text-indigo-400 font-bold bg-indigo-900/30 px-3 py-1 rounded select-all">{roomId}</span>
+                    </div>
                 </div>
 
-                <div className="space-y-3 mb-8">
-                    <div className="flex items-center justify-between bg-white/5 p-3 rounded-lg border border-white/5">
-                        <div className="flex items-center gap-3">
-                            <Crown size={18} className="text-yellow-500"/>
-                            <div>
-                                <div className="text-xs text-gray-400">HOST</div>
-                                <div className="font-bold">{roomData?.host ? 'Player 1' : '...'}</div>
-                            </div>
-                        </div>
-                        {isHost && <span className="text-[10px] bg-yellow-500/20 text-yellow-300 px-2 py-0.5 rounded">YOU</span>}
-                    </div>
+                <div className="flex items-center gap-2 mb-6">
+                    <button onClick={copyInviteLink} className="flex-1 flex items-center justify-center gap-2 text-xs font-bold text-indigo-200 bg-white/5 hover:bg-white/10 py-2 rounded-lg border border-white/10 transition-colors">
+                        {inviteCopied ? <><Check size={14} /> COPIED</> : <><Link2 size={14} /> COPY INVITE LINK</>}
+                    </button>
+                    {isHost ? (
+                        <button
+                          onClick={() => setRoomPasscode(!roomData?.locked)}
+                          className={`flex items-center gap-1 text-[10px] font-bold px-2 py-2 rounded-lg border transition-colors ${roomData?.locked ? 'bg-yellow-600/30 text-yellow-300 border-yellow-500/30' : 'bg-white/5 text-gray-400 border-white/10 hover:bg-white/10'}`}
+                        >
+                          <KeyRound size={12} /> {roomData?.locked ? roomKey || '····' : 'PASSCODE'}
+                        </button>
+                    ) : roomData?.locked && (
+                        <span className="flex items-center gap-1 text-[10px] font-bold text-yellow-300 px-2"><KeyRound size={12} /> {roomKey || 'LOCKED'}</span>
+                    )}
+                </div>
 
-                    <div className={`flex items-center justify-between p-3 rounded-lg border ${roomData?.guest ? 'bg-white/5 border-white/5' : 'bg-black/20 border-dashed border-white/10'}`}>
-                        <div className="flex items-center gap-3">
-                            <Swords size={18} className={roomData?.guest ? "text-red-400" : "text-gray-600"}/>
-                            <div>
-                                <div className="text-xs text-gray-400">GUEST</div>
-                                <div className={roomData?.guest ? "font-bold" : "text-gray-500 italic"}>
-                                    {roomData?.guest ? 'Player 2' : 'Waiting...'}
+                <div className="space-y-3 mb-8">
+                    {[...Array(Math.max(rules.maxPlayers, seatedIds.length))].map((_, idx) => {
+                        const uid = seatedIds[idx];
+                        const isOwner = !!uid && uid === roomData?.host;
+                        return (
+                            <div key={`seat-${idx}`} className={`flex items-center justify-between p-3 rounded-lg border ${uid ? 'bg-white/5 border-white/5' : 'bg-black/20 border-dashed border-white/10'}`}>
+                                <div className="flex items-center gap-3">
+                                    {isOwner ? <Crown size={18} className="text-yellow-500"/> : <Swords size={18} className={uid ? "text-red-400" : "text-gray-600"}/>}
+                                    {uid && <Avatar profile={profileOf(uid)} size={28} />}
+                                    <div className="min-w-0">
+                                        <div className="text-xs text-gray-400">{isOwner ? 'HOST' : `PLAYER ${idx + 1}`}</div>
+                                        <div className={uid ? "font-bold truncate" : "text-gray-500 italic"}>
+                                            {uid ? profileOf(uid).displayName : 'Waiting...'}
+                                        </div>
+                                    </div>
+                                </div>
+                                <div className="flex items-center gap-1.5 shrink-0">
+                                    {uid && teamRoom && (
+                                        <TeamBadge team={teamOf(roomData, uid)} onClick={isHost || uid === user?.uid ? () => switchTeam(uid) : undefined} />
+                                    )}
+                                    {uid === user?.uid && <span className={`text-[10px] px-2 py-0.5 rounded ${isOwner ? 'bg-yellow-500/20 text-yellow-300' : 'bg-red-500/20 text-red-300'}`}>YOU</span>}
                                 </div>
                             </div>
-                        </div>
-                        {isGuest && <span className="text-[10px] bg-red-500/20 text-red-300 px-2 py-0.5 rounded">YOU</span>}
-                    </div>
+                        );
+                    })}
 
                     <div className="text-center pt-2">
                         <div className="text-xs text-gray-500 flex items-center justify-center gap-1">
                             <Eye size={12}/> SPECTATORS: {roomData?.spectators?.length || 0}
                         </div>
+                        {roomData?.spectators?.length > 0 && (
+                            <div className="flex flex-wrap justify-center gap-1.5 mt-2">
+                                {roomData.spectators.map(uid => (
+                                    <div key={`spectator-${uid}`} className="flex items-center gap-1 bg-white/5 rounded-full pl-0.5 pr-2 py-0.5 text-[10px] text-gray-300 max-w-[8rem]">
+                                        <Avatar profile={profileOf(uid)} size={16} />
+                                        <span className="truncate">{profileOf(uid).displayName}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
                         {isSpectator && <div className="text-xs text-indigo-400 mt-1">あなたは観戦モードです</div>}
+                        {isSpectator && seatedIds.length < rules.maxPlayers && (
+                            <button onClick={() => joinRoom(roomId, false, roomKey)} className="mt-2 text-xs font-bold text-indigo-200 bg-indigo-600/40 hover:bg-indigo-600/60 px-3 py-1 rounded-lg transition-colors">
+                                TAKE A SEAT
+                            </button>
+                        )}
+                        {isSpectator && joinError && (
+                            <div role="alert" className="mt-2 flex items-start gap-2 bg-red-900/40 border border-red-500/40 rounded-lg p-2 text-[10px] text-red-200 text-left">
+                                <AlertCircle size={12} className="shrink-0 mt-0.5 text-red-400" />
+                                <span className="flex-1">{joinError}</span>
+                                <button onClick={() => setJoinError(null)} aria-label="Dismiss" className="shrink-0 text-red-300 hover:text-white"><X size={10} /></button>
+                            </div>
+                        )}
                     </div>
+
+                    <RulesPanel rules={rules} editable={isHost} onChange={updateRules} />
                 </div>
 
                 {isHost ? (
                     <button 
                         onClick={triggerStartGame}
-                        disabled={!roomData?.guest}
+                        disabled={!canStart}
                         className={`w-full py-4 rounded-xl font-black text-lg shadow-lg transition-all flex items-center justify-center gap-2
-                            ${roomData?.guest 
+                            ${canStart 
                                 ? 'bg-indigo-600 text-white hover:scale-105 active:scale-95 cursor-pointer' 
                                 : 'bg-gray-700 text-gray-500 cursor-not-allowed'}
                         `}
                     >
-                        {roomData?.guest ? 'START GAME' : 'WAITING FOR GUEST...'}
+                        {canStart ? 'START GAME' : teamRoom && seatedIds.length >= rules.maxPlayers ? 'BALANCE TEAMS (2 VS 2)' : 'WAITING FOR PLAYERS...'}
                     </button>
                 ) : (
                     <div className="text-center text-sm text-gray-400 animate-pulse">
@@ -826,72 +2312,142 @@ export default function App() {
            </div>
         )}
 
-        {/* Game Area */}
-        {(gameState === 'playing' || gameState === 'count_down') && (
-          <div className="flex-1 flex flex-col gap-2 relative h-full">
-            {isSpectator && (
-                <div className="absolute inset-0 z-40 bg-black/60 backdrop-blur-[2px] flex flex-col items-center justify-center pointer-events-none">
-                    <div className="bg-black/80 p-6 rounded-2xl border border-white/10 text-center">
-                        <Eye size={48} className="mx-auto mb-4 text-indigo-400"/>
-                        <h3 className="text-2xl font-bold text-white mb-2">SPECTATING</h3>
-                        <p className="text-gray-400 text-sm">現在、試合を観戦中です。<br/>スコアボードで戦況を確認してください。</p>
-                    </div>
-                </div>
-            )}
+        {/* Spectator Area */}
+        {(gameState === 'playing' || gameState === 'count_down') && isSpectator && (
+            <SpectatorView
+                players={seatedIds.map(uid => ({
+                    uid,
+                    label: teamRoom ? `${TEAM_LABELS[teamOf(roomData, uid)] || '?'} · ${profileOf(uid).displayName}` : profileOf(uid).displayName,
+                    score: roomData.players[uid].score,
+                    charge: roomData.players[uid].charge
+                }))}
+                boards={liveBoards}
+                attackThreshold={rules.maxCharge}
+            />
+        )}
 
+        {/* Game Area */}
+        {(gameState === 'playing' || gameState === 'count_down') && !isSpectator && (
+          <div
+            className="flex-1 flex flex-col gap-2 relative h-full outline-none"
+            onClickCapture={consumeClick}
+            tabIndex={0}
+            role="application"
+            aria-label={BOARD_KEY_HELP}
+            aria-activedescendant={cursorElementId()}
+            onKeyDown={handleBoardKeyDown}
+            onFocus={(e) => setCursorVisible(e.target === e.currentTarget && e.currentTarget.matches(':focus-visible'))}
+            onBlur={() => setCursorVisible(false)}
+            onPointerDown={() => setCursorVisible(false)}
+          >
             <div className="grid grid-cols-7 gap-1 px-1">
-              <div onClick={handleStockClick} className="col-span-1 relative group cursor-pointer">
-                   {deck.length > 0 ? (
+              <div
+                id="pile-stock"
+                role="group"
+                aria-label={stock.length > 0 ? `Stock, ${stock.length} cards${statusEffects.lock ? ', locked' : ''}` : `Stock empty${canRecycle(board) ? ', recycle available' : ''}`}
+                onClick={handleStockClick}
+                className={`col-span-1 relative group rounded-md ${statusEffects.lock ? 'cursor-not-allowed' : 'cursor-pointer'} ${isCursorAt('top', 0) ? 'ring-2 ring-sky-400' : ''} ${isHintSource('stock') ? 'ring-2 ring-emerald-400 animate-pulse' : ''}`}
+              >
+                   {statusEffects.lock && (
+                       <div className="absolute inset-0 z-10 rounded-md bg-black/60 ring-1 ring-orange-400 flex items-center justify-center">
+                           <Lock size={16} className="text-orange-300 animate-pulse" />
+                       </div>
+                   )}
+                   {stock.length > 0 ? (
                        <div className="w-full aspect-[5/7] bg-indigo-900 border-2 border-indigo-300/50 rounded-md shadow-sm group-active:scale-95 transition-transform">
                            <div className="absolute inset-1 border border-indigo-950/30 rounded-sm bg-gradient-to-br from-indigo-800 to-indigo-950"></div>
                            <div className="absolute -top-1 -right-1 bg-red-500 text-white text-[9px] w-4 h-4 flex items-center justify-center rounded-full font-bold shadow-md border border-white/20">
-                               {deck.length}
+                               {stock.length}
                            </div>
                        </div>
                    ) : (
-                       <div className="w-full aspect-[5/7] border-2 border-white/10 rounded-md flex items-center justify-center bg-black/20">
-                           <RefreshCw size={14} className="text-white/30" />
+                       <div className="w-full aspect-[5/7] border-2 border-white/10 rounded-md flex flex-col items-center justify-center bg-black/20">
+                           {canRecycle(board) || waste.length === 0 ? (
+                               <RefreshCw size={14} className="text-white/30" />
+                           ) : (
+                               <Ban size={14} className="text-red-400/50" />
+                           )}
+                           {board.recycleLimit != null && (
+                               <div className="text-[8px] font-mono text-white/40 mt-0.5">{Math.max(0, board.recycleLimit - board.recycles)}</div>
+                           )}
                        </div>
                    )}
               </div>
-              <div className="col-span-1 relative">
+              {/* Waste: draw-3 では上から3枚を扇状に表示し、一番上だけ操作できる */}
+              <div
+                id="pile-waste"
+                role="group"
+                aria-label={`Waste, ${waste.length > 0 ? describeCard(statusEffects.blind ? { faceUp: false } : waste[waste.length - 1]) : 'empty'}`}
+                className="col-span-2 relative"
+              >
+                   <div className={`w-[calc(50%-2px)] aspect-[5/7] rounded-md ${isCursorAt('top', 1) ? 'ring-2 ring-sky-400' : ''}`} />
                    {waste.length > 0 ? (
-                       <Card 
-                         card={waste[waste.length - 1]} 
-                         isSelected={selectedCard?.pileType === 'waste'}
-                         onClick={() => handleCardClick('waste', 0, waste.length-1, waste[waste.length-1])}
-                       />
+                       waste.slice(-board.drawCount).map((card, i, fan) => {
+                         const isTop = i === fan.length - 1;
+                         return (
+                           <div
+                             key={card.id}
+                             className={`absolute top-0 w-[calc(50%-2px)] ${isTop ? 'touch-none' : ''} ${isTop && (isBeingDragged('waste', 0, waste.length - 1) || autoFlight?.card.id === card.id) ? 'opacity-0' : ''} ${isTop && isHintSource('waste', 0, waste.length - 1) ? 'rounded-md ring-2 ring-emerald-400 animate-pulse' : ''}`}
+                             style={{ left: `${i * 25}%`, zIndex: i }}
+                             {...(isTop ? bindCard({ pileType: 'waste', pileIndex: 0, cardIndex: waste.length - 1, card }) : {})}
+                           >
+                             <Card 
+                               id={isTop ? `card-${card.id}` : undefined}
+                               card={statusEffects.blind ? { ...card, faceUp: false } : card} 
+                               isSelected={isTop && selectedCard?.pileType === 'waste'}
+                               onClick={isTop ? () => handleCardClick('waste', 0, waste.length-1, waste[waste.length-1]) : undefined}
+                             />
+                           </div>
+                         );
+                       })
                    ) : (
-                       <div className="w-full aspect-[5/7] border-2 border-dashed border-white/5 rounded-md" />
+                       <div className="absolute top-0 left-0 w-[calc(50%-2px)] aspect-[5/7] border-2 border-dashed border-white/5 rounded-md" />
                    )}
               </div>
-              <div className="col-span-1"></div>
               {foundation.map((pile, idx) => (
                   <div 
                     key={`foundation-${idx}`}
-                    className="col-span-1 border-2 border-white/10 bg-black/20 rounded-md flex items-center justify-center relative shadow-inner aspect-[5/7]"
+                    id={`pile-foundation-${idx}`}
+                    role="group"
+                    aria-label={`Foundation ${idx + 1}, ${describeCard(pile[pile.length - 1])}`}
+                    data-drop-pile="foundation"
+                    data-drop-index={idx}
+                    className={`col-span-1 border-2 bg-black/20 rounded-md flex items-center justify-center relative shadow-inner aspect-[5/7] transition-colors ${isDropHighlighted('foundation', idx) ? 'border-yellow-400 bg-yellow-400/10' : 'border-white/10'} ${isCursorAt('top', idx + 2) ? 'ring-2 ring-sky-400' : ''} ${isHintTarget('foundation', idx) ? 'ring-2 ring-emerald-400 animate-pulse' : ''}`}
                     onClick={() => handleCardClick('foundation', idx, null, null)}
                   >
-                    {pile.length === 0 ? <div className="text-white/10 text-xl font-serif">A</div> : <Card card={pile[pile.length - 1]} onClick={() => handleCardClick('foundation', idx, pile.length - 1, pile[pile.length - 1])} />}
+                    {pile.length === 0 ? <div aria-hidden="true" className="text-white/10 text-xl font-serif">A</div> : <Card card={pile[pile.length - 1]} onClick={() => handleCardClick('foundation', idx, pile.length - 1, pile[pile.length - 1])} />}
                   </div>
               ))}
             </div>
 
             <div className="flex-1 grid grid-cols-7 gap-1 mt-1 pb-14 px-1 overflow-hidden">
               {tableau.map((pile, colIdx) => (
-                <div key={`col-${colIdx}`} className="relative h-full">
+                <div
+                  key={`col-${colIdx}`}
+                  id={`pile-tableau-${colIdx}`}
+                  role="group"
+                  aria-label={`Column ${colIdx + 1}, ${pile.length === 0 ? 'empty' : `${pile.length} cards`}${frozenColumns[colIdx] ? ', frozen' : ''}`}
+                  className="relative h-full"
+                  data-drop-pile="tableau"
+                  data-drop-index={colIdx}
+                >
                    <div 
-                     className={`absolute inset-0 rounded-md transition-colors duration-300 ${frozenColumns[colIdx] ? 'bg-blue-500/20 ring-1 ring-blue-400' : 'hover:bg-white/5'}`}
+                     className={`absolute inset-0 rounded-md transition-colors duration-300 ${frozenColumns[colIdx] ? 'bg-blue-500/20 ring-1 ring-blue-400' : isDropHighlighted('tableau', colIdx) ? 'bg-yellow-400/10 ring-1 ring-yellow-400' : 'hover:bg-white/5'} ${pile.length === 0 && isCursorAt('tableau', colIdx) ? 'ring-2 ring-sky-400' : ''} ${isHintTarget('tableau', colIdx) ? 'ring-2 ring-emerald-400 animate-pulse' : ''}`}
                      onClick={() => pile.length === 0 && handleCardClick('tableau', colIdx, 0, null)}
                    >
-                       {frozenColumns[colIdx] && <div className="absolute -top-3 left-1/2 -translate-x-1/2 z-50"><Snowflake className="text-blue-300 animate-spin-slow drop-shadow-lg" size={20} /></div>}
+                       {frozenColumns[colIdx] && <div aria-hidden="true" className="absolute -top-3 left-1/2 -translate-x-1/2 z-50"><Snowflake className="text-blue-300 animate-spin-slow drop-shadow-lg" size={20} /></div>}
                        {pile.length === 0 && <div className="w-full aspect-[5/7] border border-white/5 rounded-md opacity-30" />}
                        {pile.map((card, cardIdx) => {
                          let accumulatedTop = 0;
                          for(let i=0; i<cardIdx; i++) accumulatedTop += pile[i].faceUp ? 1.8 : 0.4;
                          return (
-                           <div key={card.id} className="absolute w-full transition-all duration-300 ease-out" style={{ top: `${accumulatedTop}rem`, zIndex: cardIdx }}>
-                             <Card card={card} isFrozen={!!frozenColumns[colIdx]} isSelected={selectedCard?.card.id === card.id} onClick={(e) => { e.stopPropagation(); handleCardClick('tableau', colIdx, cardIdx, card); }} />
+                           <div
+                             key={card.id}
+                             className={`absolute w-full rounded-md transition-all duration-300 ease-out ${card.faceUp ? 'touch-none' : ''} ${isBeingDragged('tableau', colIdx, cardIdx) || autoFlight?.card.id === card.id ? 'opacity-0' : ''} ${isCursorAt('tableau', colIdx, cardIdx) ? 'ring-2 ring-sky-400' : ''} ${isHintSource('tableau', colIdx, cardIdx) ? 'ring-2 ring-emerald-400' : ''}`}
+                             style={{ top: `${accumulatedTop}rem`, zIndex: cardIdx }}
+                             {...bindCard({ pileType: 'tableau', pileIndex: colIdx, cardIndex: cardIdx, card })}
+                           >
+                             <Card id={`card-${card.id}`} card={card} isFrozen={!!frozenColumns[colIdx]} isSelected={selectedCard?.card.id === card.id} onClick={(e) => { e.stopPropagation(); handleCardClick('tableau', colIdx, cardIdx, card); }} />
                            </div>
                          );
                        })}
@@ -900,15 +2456,76 @@ export default function App() {
               ))}
             </div>
 
-             <div className="absolute bottom-2 left-0 right-0 flex justify-center z-20 pointer-events-none">
+             <div className="absolute bottom-2 left-0 right-0 flex justify-center items-end gap-2 z-20 pointer-events-none">
+                {isPlayer && (
+                    <div className="flex flex-col items-center gap-1">
+                        {rivals.length > 1 && (
+                            <TargetPicker
+                                rivals={rivals.map(uid => ({ uid, profile: profileOf(uid) }))}
+                                mode={targetMode}
+                                onChange={setTargetMode}
+                            />
+                        )}
+                        <AttackBar
+                            charge={attackCharge}
+                            onFire={fireAttack}
+                            onShield={raiseShield}
+                            shieldUp={shieldUp}
+                            disabled={gameState !== 'playing'}
+                            onDonate={partnerId ? donateCharge : undefined}
+                            canDonate={canDonate}
+                        />
+                    </div>
+                )}
+                {isPlayer && (
+                <button 
+                    onClick={undoMove}
+                    disabled={undoStack.length === 0 || !!undoLockUntil}
+                    title={`Undo (${rules.undoPenalty} pts${rules.undoLockoutMs > 0 ? `, ${rules.undoLockoutMs / 1000}s lock` : ''})`}
+                    className={`pointer-events-auto flex flex-col items-center justify-center w-11 py-1 rounded-lg border text-[8px] font-black transition-all
+                        ${undoStack.length > 0 && !undoLockUntil
+                            ? 'bg-slate-700 border-slate-400 text-white active:scale-95'
+                            : 'bg-gray-900/80 border-white/10 text-gray-600 cursor-not-allowed'}
+                    `}
+                >
+                    <Undo2 size={12} />
+                    <span>UNDO</span>
+                    <span className="opacity-70">{undoStack.length}</span>
+                </button>
+                )}
                 {isPlayer && (
                 <button 
-                    onClick={handleGiveUp}
-                    className="pointer-events-auto flex items-center gap-2 px-5 py-2 bg-red-950/80 hover:bg-red-900 text-red-200 rounded-full text-xs font-bold transition-all border border-red-800 shadow-lg backdrop-blur"
+                    onClick={showHint}
+                    disabled={gameState !== 'playing'}
+                    title={`Hint${rules.hintPenalty !== 0 ? ` (${rules.hintPenalty} pts)` : ''}`}
+                    className="pointer-events-auto flex flex-col items-center justify-center w-11 py-1 rounded-lg border text-[8px] font-black transition-all bg-emerald-900/80 border-emerald-500 text-emerald-100 active:scale-95"
                 >
-                    <Flag size={12} /> GIVE UP
+                    <Lightbulb size={12} />
+                    <span>HINT</span>
+                    {rules.hintPenalty !== 0 && <span className="opacity-70">{rules.hintPenalty}</span>}
                 </button>
                 )}
+                {isPlayer && (
+                <div className="relative pointer-events-auto">
+                    {giveUpOpen && (
+                        <div className="absolute bottom-full mb-2 right-0 flex flex-col gap-1 bg-slate-900/95 border border-red-800 rounded-xl p-1.5 shadow-2xl w-40">
+                            <button onClick={() => { setGiveUpOpen(false); surrenderRound(); }} disabled={mySurrendered} className="px-3 py-1.5 rounded-lg text-[10px] font-bold text-left text-red-200 hover:bg-red-900/60 disabled:opacity-40">
+                                SURRENDER ROUND
+                            </button>
+                            <button onClick={surrenderMatch} className="px-3 py-1.5 rounded-lg text-[10px] font-bold text-left text-red-200 hover:bg-red-900/60">
+                                FORFEIT MATCH
+                            </button>
+                        </div>
+                    )}
+                    <button 
+                        onClick={() => setGiveUpOpen(!giveUpOpen)}
+                        aria-expanded={giveUpOpen}
+                        className="flex items-center gap-2 px-5 py-2 bg-red-950/80 hover:bg-red-900 text-red-200 rounded-full text-xs font-bold transition-all border border-red-800 shadow-lg backdrop-blur"
+                    >
+                        <Flag size={12} /> GIVE UP
+                    </button>
+                </div>
+                )}
             </div>
 
             {frozenColumns && Object.keys(frozenColumns).length > 0 && (
@@ -918,6 +2535,59 @@ export default function App() {
                     </div>
                 </div>
             )}
+
+            {deadPosition && !mySurrendered && (
+                <div role="alert" className="absolute top-[30%] left-1/2 -translate-x-1/2 z-40 bg-slate-900/95 border border-red-500/60 rounded-2xl px-4 py-3 shadow-2xl flex flex-col items-center gap-2 w-64 animate-in zoom-in duration-300">
+                    <div className="text-red-300 font-black text-sm flex items-center gap-1"><Ban size={14} /> NO MOVES LEFT</div>
+                    <div className="text-[10px] text-gray-400 text-center">山札を一巡しても動かせるカードがありません</div>
+                    <div className="flex gap-2">
+                        <button onClick={surrenderRound} className="px-3 py-1.5 bg-red-700 hover:bg-red-600 rounded-lg text-xs font-bold flex items-center gap-1">
+                            <Flag size={12} /> SURRENDER ROUND
+                        </button>
+                        {undoStack.length > 0 && (
+                            <button onClick={undoMove} disabled={!!undoLockUntil} className="px-3 py-1.5 bg-slate-700 hover:bg-slate-600 rounded-lg text-xs font-bold flex items-center gap-1">
+                                <Undo2 size={12} /> UNDO
+                            </button>
+                        )}
+                    </div>
+                </div>
+            )}
+
+            {mySurrendered && (
+                <div className="absolute inset-0 z-[55] bg-black/70 flex flex-col items-center justify-center gap-1">
+                    <div className="text-red-300 font-black text-xl flex items-center gap-2"><Flag size={18} /> SURRENDERED</div>
+                    <div className="text-xs text-gray-400 animate-pulse">Waiting for the round to end...</div>
+                </div>
+            )}
+
+            {!!undoLockUntil && (
+                <div className="absolute inset-0 z-30 bg-black/30 flex items-center justify-center pointer-events-none">
+                    <div className="bg-slate-800/90 text-slate-200 px-4 py-2 rounded-full font-black text-sm border border-slate-500 flex items-center gap-2">
+                        <Undo2 size={14} /> UNDO LOCK
+                    </div>
+                </div>
+            )}
+
+            {defenseBanner && (
+                <div className="absolute top-[38%] left-1/2 -translate-x-1/2 -translate-y-1/2 pointer-events-none z-50 animate-in zoom-in duration-300">
+                    <div className="bg-cyan-600 text-white px-6 py-3 rounded-full font-black text-xl shadow-2xl transform rotate-6 border-4 border-cyan-200 flex items-center gap-2">
+                        <Shield /> {DEFENSE_BANNERS[defenseBanner]}
+                    </div>
+                </div>
+            )}
+
+            {Object.keys(statusEffects).length > 0 && (
+                <div className="absolute top-[62%] left-1/2 -translate-x-1/2 pointer-events-none z-50 flex flex-col items-center gap-2 animate-in zoom-in duration-300">
+                    {Object.keys(statusEffects).map(effectId => {
+                        const Icon = ATTACK_ICONS[effectId];
+                        return (
+                            <div key={effectId} className="bg-orange-600 text-white px-5 py-2 rounded-full font-black text-lg shadow-2xl transform rotate-3 border-4 border-orange-200 flex items-center gap-2">
+                                {Icon && <Icon size={18} />} {ATTACKS[effectId]?.banner}
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
           </div>
         )}
 
@@ -930,50 +2600,132 @@ export default function App() {
                             <h2 className="text-3xl font-black uppercase italic tracking-tighter drop-shadow-xl text-indigo-300">
                                 {gameState === 'finished' ? 'FINAL RESULT' : `ROUND ${roomData?.currentRound} OVER`}
                             </h2>
+                            {roomData?.seed != null && (
+                                <div className="text-[10px] text-gray-500 font-mono mt-1 select-all">DEAL #{formatSeed(roomData.seed)}</div>
+                            )}
+                            {gameState === 'finished' && roomData?.forfeit && (
+                                <div className="text-xs text-red-300 font-bold mt-2 flex items-center justify-center gap-1">
+                                    <Flag size={12} />
+                                    {profileOf(roomData.forfeit.by).displayName} {roomData.forfeit.reason === 'disconnect' ? 'DISCONNECTED' : 'SURRENDERED'}
+                                </div>
+                            )}
                         </div>
 
                         <div className="py-4 space-y-3">
-                            <div className="flex justify-between items-center bg-white/5 p-3 rounded-xl border border-white/5">
-                                <span className="text-gray-400 font-bold text-xs">HOST (Total)</span>
-                                <span className="font-mono text-2xl font-bold">{roomData?.hostTotalScore || 0}</span>
-                            </div>
-                            <div className="flex justify-between items-center bg-white/5 p-3 rounded-xl border border-white/5">
-                                <span className="text-gray-400 font-bold text-xs">GUEST (Total)</span>
-                                <span className="font-mono text-2xl font-bold text-gray-500">{roomData?.guestTotalScore || 0}</span>
-                            </div>
+                            {teamTotalScores && (
+                                <div className="grid grid-cols-2 gap-2">
+                                    {TEAMS.map(team => {
+                                        const rank = roomData.standings?.[teamIds(roomData, team)[0]];
+                                        return (
+                                            <div key={`team-result-${team}`} className={`p-3 rounded-xl border ${rank === 1 ? 'bg-yellow-500/10 border-yellow-500/30' : 'bg-white/5 border-white/5'}`}>
+                                                <TeamBadge team={team} />
+                                                <div className={`font-mono text-3xl font-black mt-1 ${rank === 1 ? '' : 'text-gray-500'}`}>{teamTotalScores[team]}</div>
+                                            </div>
+                                        );
+                                    })}
+                                </div>
+                            )}
+                            {[...seatedIds].sort((a, b) => (roomData.standings?.[a] ?? 0) - (roomData.standings?.[b] ?? 0)).map(uid => {
+                                const seat = roomData.players[uid];
+                                const rank = roomData.standings?.[uid];
+                                const check = roomData.verification?.players?.[uid];
+                                const roundResult = lastRoundRecord?.players?.[uid];
+                                return (
+                                    <div key={`result-${uid}`} className="flex justify-between items-center bg-white/5 p-3 rounded-xl border border-white/5">
+                                        <span className="text-gray-400 font-bold text-xs flex items-center gap-1">
+                                            {teamRoom ? (
+                                                <TeamBadge team={seat.team} />
+                                            ) : rank && <span className={`font-mono font-black w-4 ${rank === 1 ? 'text-yellow-300' : 'text-gray-500'}`}>{rank}</span>}
+                                            <Avatar profile={profileOf(uid)} size={16} />
+                                            <span className="truncate max-w-[8rem]">{profileOf(uid).displayName}</span>
+                                            <span className="text-[9px] text-gray-500">(Total)</span>
+                                            {seat.cleared && <span className="text-[9px] text-emerald-400 font-black">CLEAR!</span>}
+                                            {seat.out && <span className="text-[9px] text-red-400 font-black">OUT</span>}
+                                            {check && check.status !== 'verified' && (
+                                                <span title={`Score adjusted: ${check.claimed} → ${check.verified}`}>
+                                                    <AlertCircle size={12} className="text-orange-400" />
+                                                </span>
+                                            )}
+                                        </span>
+                                        <span className="flex items-baseline gap-2">
+                                            {roundResult && (
+                                                <span className="text-[9px] font-mono text-indigo-300" title={`Round ${lastRoundRecord.round} place ${roundResult.rank}`}>
+                                                    +{roundResult.score}
+                                                </span>
+                                            )}
+                                            <span className={`font-mono font-bold ${teamRoom ? 'text-lg' : 'text-2xl'} ${rank === 1 ? '' : 'text-gray-500'}`}>{seat.totalScore || 0}</span>
+                                        </span>
+                                    </div>
+                                );
+                            })}
                         </div>
 
                         {gameState === 'finished' && (
                             <div className="my-6">
                                 <div className="text-4xl font-black">
-                                    {roomData?.winner === user.uid ? (
+                                    {myOutcome === 'win' ? (
                                         <span className="text-transparent bg-clip-text bg-gradient-to-b from-yellow-300 to-yellow-600 animate-pulse">VICTORY!</span>
-                                    ) : roomData?.winner === 'draw' ? (
+                                    ) : roomData?.winner === 'draw' && (!mySeat || myOutcome === 'draw') ? (
                                         <span className="text-gray-400">DRAW</span>
+                                    ) : mySeat && !teamRoom && seatedIds.length > 2 && roomData.standings?.[user.uid] ? (
+                                        <span className="text-gray-400">{PLACE_LABELS[roomData.standings[user.uid] - 1]} PLACE</span>
                                     ) : (
-                                        <span className="text-gray-600">{isPlayer ? "DEFEAT..." : "GAME SET"}</span>
+                                        <span className="text-gray-600">{mySeat ? "DEFEAT..." : "GAME SET"}</span>
                                     )}
                                 </div>
                             </div>
                         )}
 
                         {gameState === 'intermission' ? (
-                            isHost ? (
+                            isController ? (
                                 <button onClick={nextRound} className="w-full bg-indigo-600 text-white py-3 rounded-xl font-black text-lg shadow-lg hover:scale-105 border-b-4 border-indigo-800">
                                     NEXT ROUND <Play size={16} className="inline ml-1 mb-1"/>
                                 </button>
                             ) : (
                                 <div className="text-sm text-gray-400 animate-pulse">Waiting for host...</div>
                             )
-                        ) : (
-                            <button onClick={() => window.location.reload()} className="w-full bg-white text-black py-3 rounded-xl font-black text-lg shadow-lg hover:scale-105">
-                                TITLE SCREEN
+                        ) : null}
+                        {gameState === 'intermission' && isPlayer && (
+                            <button onClick={surrenderMatch} className="mt-3 text-[10px] font-bold text-red-300/70 hover:text-red-300 flex items-center gap-1 mx-auto">
+                                <Flag size={10} /> FORFEIT MATCH
                             </button>
                         )}
+                        {gameState === 'finished' && (
+                            <div className="space-y-2">
+                                {roomData?.rounds?.length > 0 && (
+                                    <button onClick={openReplay} className="w-full flex items-center justify-center gap-2 bg-indigo-600 text-white py-2.5 rounded-xl font-black shadow-lg hover:scale-105 border-b-4 border-indigo-800">
+                                        <Film size={16} /> REPLAY
+                                    </button>
+                                )}
+                                {isController && (
+                                    <button onClick={startNewMatch} className="w-full flex items-center justify-center gap-2 bg-emerald-600 text-white py-2.5 rounded-xl font-black shadow-lg hover:scale-105 border-b-4 border-emerald-800">
+                                        <RefreshCw size={16} /> NEW MATCH
+                                    </button>
+                                )}
+                                <button onClick={leaveRoom} className="w-full bg-white text-black py-3 rounded-xl font-black text-lg shadow-lg hover:scale-105">
+                                    TITLE SCREEN
+                                </button>
+                            </div>
+                        )}
                     </div>
                 </div>
             </div>
         )}
+        {rivalOffline && (
+            <div role="status" className="fixed top-14 left-1/2 -translate-x-1/2 z-[70] bg-amber-600/95 text-white px-4 py-2 rounded-full font-black text-xs shadow-2xl border-2 border-amber-200 flex items-center gap-2 whitespace-nowrap">
+                <WifiOff size={14} /> {rivals.length > 1 ? `${profileOf(offlineRivalId).displayName} DISCONNECTED` : 'RIVAL DISCONNECTED'}
+                <span className="font-mono tabular-nums bg-black/30 px-2 rounded-full">{formatTime(Math.ceil(forfeitIn / 1000))}</span>
+            </div>
+        )}
+        {browserOpen && gameState === 'lobby' && (
+            <RoomBrowser rooms={publicRooms} error={browserError} onJoin={joinRoom} onClose={() => setBrowserOpen(false)} />
+        )}
+        {statsView && (
+            <StatsScreen stats={statsView.stats} history={statsView.history} onClose={() => setStatsView(null)} />
+        )}
+        {replayRecord && (
+            <ReplayViewer record={replayRecord} onClose={() => setReplayRecord(null)} />
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,64 @@
+import { Shield, Gift } from 'lucide-react';
+import { ATTACK_LIST, SHIELD_COST, DONATE_AMOUNT } from '../game/attacks';
+import { ATTACK_ICONS } from './attackIcons';
+
+// チャージを消費して撃つ攻撃・シールドの選択ボタン（onDonate を渡すとチーム戦の GIVE も並ぶ）
+const AttackBar = ({ charge, onFire, onShield, shieldUp, disabled, onDonate, canDonate }) => (
+  <div className="flex gap-1">
+    {ATTACK_LIST.map(attack => {
+      const Icon = ATTACK_ICONS[attack.id];
+      const affordable = !disabled && charge >= attack.cost;
+      return (
+        <button
+          key={`attack-${attack.id}`}
+          onClick={() => onFire(attack.id)}
+          disabled={!affordable}
+          title={attack.description}
+          className={`pointer-events-auto flex flex-col items-center justify-center w-11 py-1 rounded-lg border text-[8px] font-black transition-all
+            ${affordable
+              ? 'bg-gradient-to-tr from-red-700 to-orange-500 border-orange-300 text-white shadow-[0_0_8px_rgba(239,68,68,0.6)] active:scale-95'
+              : 'bg-gray-900/80 border-white/10 text-gray-600 cursor-not-allowed'}
+          `}
+        >
+          <Icon size={12} />
+          <span>{attack.label}</span>
+          <span className="opacity-70">{attack.cost}</span>
+        </button>
+      );
+    })}
+    <button
+      onClick={onShield}
+      disabled={disabled || shieldUp || charge < SHIELD_COST}
+      title="次の攻撃を1回防ぐ"
+      className={`pointer-events-auto flex flex-col items-center justify-center w-11 py-1 rounded-lg border text-[8px] font-black transition-all
+        ${shieldUp
+          ? 'bg-cyan-600 border-cyan-200 text-white shadow-[0_0_10px_rgba(34,211,238,0.8)]'
+          : !disabled && charge >= SHIELD_COST
+            ? 'bg-gradient-to-tr from-cyan-800 to-sky-500 border-sky-300 text-white active:scale-95'
+            : 'bg-gray-900/80 border-white/10 text-gray-600 cursor-not-allowed'}
+      `}
+    >
+      <Shield size={12} />
+      <span>{shieldUp ? 'ACTIVE' : 'SHIELD'}</span>
+      <span className="opacity-70">{SHIELD_COST}</span>
+    </button>
+    {onDonate && (
+      <button
+        onClick={onDonate}
+        disabled={disabled || !canDonate || charge < DONATE_AMOUNT}
+        title="味方にチャージを渡す"
+        className={`pointer-events-auto flex flex-col items-center justify-center w-11 py-1 rounded-lg border text-[8px] font-black transition-all
+          ${!disabled && canDonate && charge >= DONATE_AMOUNT
+            ? 'bg-gradient-to-tr from-emerald-800 to-teal-500 border-teal-300 text-white active:scale-95'
+            : 'bg-gray-900/80 border-white/10 text-gray-600 cursor-not-allowed'}
+        `}
+      >
+        <Gift size={12} />
+        <span>GIVE</span>
+        <span className="opacity-70">{DONATE_AMOUNT}</span>
+      </button>
+    )}
+  </div>
+);
+
+export default AttackBar;
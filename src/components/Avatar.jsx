@@ -0,0 +1,18 @@
+import { AVATAR_ICONS } from './avatarIcons';
+import { initialsOf } from '../profile';
+
+// profile は normalizeProfile 済みのもの
+const Avatar = ({ profile, size = 24 }) => {
+  const Icon = AVATAR_ICONS[profile.avatar];
+  return (
+    <div
+      aria-hidden="true"
+      className="rounded-full flex items-center justify-center shrink-0 border border-white/30 shadow-sm text-white font-black leading-none"
+      style={{ width: size, height: size, backgroundColor: profile.color, fontSize: size * 0.4 }}
+    >
+      {Icon ? <Icon size={size * 0.6} /> : initialsOf(profile.displayName)}
+    </div>
+  );
+};
+
+export default Avatar;
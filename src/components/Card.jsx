@@ -0,0 +1,51 @@
+import { Snowflake } from 'lucide-react';
+import { describeCard } from '../game/describe';
+
+const Card = ({ card, onClick, isSelected, isFrozen, style, id }) => {
+  if (!card) return (
+    <div id={id} role="img" aria-label="empty" className="w-full aspect-[5/7] border-2 border-dashed border-white/10 rounded-md bg-white/5 box-border" />
+  );
+
+  if (!card.faceUp) {
+    return (
+      <div 
+        id={id}
+        role="img"
+        aria-label={describeCard(card)}
+        onClick={onClick}
+        className="w-full aspect-[5/7] bg-indigo-900 border border-white/20 rounded-md shadow-sm cursor-pointer relative overflow-hidden box-border"
+        style={style}
+      >
+        <div aria-hidden="true" className="absolute inset-1 border border-indigo-400/30 rounded-sm bg-gradient-to-br from-indigo-800 to-indigo-950 pattern-grid-lg"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div 
+      id={id}
+      role="img"
+      aria-label={`${describeCard(card)}${isSelected ? ', selected' : ''}${isFrozen ? ', frozen' : ''}`}
+      onClick={onClick}
+      style={style}
+      className={`
+        w-full aspect-[5/7] bg-white rounded-md shadow-sm cursor-pointer select-none relative transition-transform duration-100 box-border
+        ${isSelected ? 'ring-2 ring-yellow-400 translate-y-[-4px] z-50' : 'active:scale-95'}
+        ${isFrozen ? 'after:content-[""] after:absolute after:inset-0 after:bg-blue-400/50 after:backdrop-blur-[1px] after:rounded-md' : ''}
+      `}
+    >
+      <div aria-hidden="true" className={`absolute top-[4%] left-[8%] font-bold leading-none text-[clamp(10px,3vw,18px)] tracking-tighter ${card.color === 'red' ? 'text-red-600' : 'text-gray-900'}`}>
+        {card.rank}
+      </div>
+      <div aria-hidden="true" className={`absolute top-[4%] right-[8%] leading-none text-[clamp(10px,2.5vw,16px)] ${card.color === 'red' ? 'text-red-600' : 'text-gray-900'}`}>
+        {card.suit}
+      </div>
+      <div aria-hidden="true" className={`absolute bottom-[10%] right-[10%] opacity-20 transform scale-[2.5] text-[clamp(12px,4vw,24px)] ${card.color === 'red' ? 'text-red-600' : 'text-gray-900'}`}>
+        {card.suit}
+      </div>
+      {isFrozen && <Snowflake aria-hidden="true" className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 text-blue-600 w-1/2 h-1/2 animate-pulse" />}
+    </div>
+  );
+};
+
+export default Card;
@@ -0,0 +1,51 @@
+import { RefreshCw, Snowflake } from 'lucide-react';
+import Card from './Card';
+
+// 操作できない縮小版の盤面（リプレイ・観戦用）
+const MiniBoard = ({ stockCount, wasteTop, foundation, tableau, frozenColumns = {} }) => (
+  <div className="flex flex-col gap-1 w-full">
+    <div className="grid grid-cols-7 gap-0.5">
+      <div className="col-span-1 relative">
+        {stockCount > 0 ? (
+          <div className="w-full aspect-[5/7] bg-indigo-900 border border-indigo-300/50 rounded-md relative">
+            <div className="absolute -top-1 -right-1 bg-red-500 text-white text-[7px] w-3 h-3 flex items-center justify-center rounded-full font-bold">
+              {stockCount}
+            </div>
+          </div>
+        ) : (
+          <div className="w-full aspect-[5/7] border border-white/10 rounded-md flex items-center justify-center bg-black/20">
+            <RefreshCw size={8} className="text-white/30" />
+          </div>
+        )}
+      </div>
+      <div className="col-span-1">
+        <Card card={wasteTop} />
+      </div>
+      <div className="col-span-1"></div>
+      {foundation.map((top, idx) => (
+        <div key={`mini-foundation-${idx}`} className="col-span-1">
+          <Card card={top} />
+        </div>
+      ))}
+    </div>
+
+    <div className="grid grid-cols-7 gap-0.5 h-48">
+      {tableau.map((pile, colIdx) => (
+        <div key={`mini-col-${colIdx}`} className={`relative h-full rounded-sm ${frozenColumns[colIdx] ? 'bg-blue-500/20 ring-1 ring-blue-400' : ''}`}>
+          {frozenColumns[colIdx] && <Snowflake size={10} className="absolute -top-2 left-1/2 -translate-x-1/2 text-blue-300 z-50" />}
+          {pile.map((card, cardIdx) => {
+            let accumulatedTop = 0;
+            for (let i = 0; i < cardIdx; i++) accumulatedTop += pile[i].faceUp ? 0.9 : 0.2;
+            return (
+              <div key={card.id} className="absolute w-full" style={{ top: `${accumulatedTop}rem`, zIndex: cardIdx }}>
+                <Card card={card} isFrozen={!!frozenColumns[colIdx]} />
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+export default MiniBoard;
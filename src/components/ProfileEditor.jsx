@@ -0,0 +1,81 @@
+import { useState } from 'react';
+import { Check, Pencil } from 'lucide-react';
+import Avatar from './Avatar';
+import { AVATAR_ICONS } from './avatarIcons';
+import { AVATARS, PROFILE_COLORS, MAX_NAME_LENGTH, initialsOf } from '../profile';
+
+// メインロビーでのプロフィール編集。profile は normalizeProfile 済みのもの
+const ProfileEditor = ({ profile, onSave }) => {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(profile);
+
+  const startEditing = () => {
+    setDraft(profile);
+    setEditing(true);
+  };
+
+  const save = async () => {
+    await onSave(draft);
+    setEditing(false);
+  };
+
+  if (!editing) {
+    return (
+      <button onClick={startEditing} className="w-full flex items-center gap-3 bg-white/5 hover:bg-white/10 p-2 rounded-xl border border-white/10 transition-colors">
+        <Avatar profile={profile} size={32} />
+        <span className="flex-1 text-left font-bold truncate">{profile.displayName}</span>
+        <Pencil size={14} className="text-gray-400" />
+      </button>
+    );
+  }
+
+  return (
+    <div className="bg-black/30 p-3 rounded-xl border border-white/10 space-y-3">
+      <div className="flex items-center gap-2">
+        <Avatar profile={draft} size={32} />
+        <input
+          type="text"
+          value={draft.displayName}
+          maxLength={MAX_NAME_LENGTH}
+          onChange={(e) => setDraft({ ...draft, displayName: e.target.value })}
+          aria-label="Display name"
+          className="flex-1 min-w-0 bg-black/40 border-2 border-white/10 rounded-lg px-2 py-1 text-white outline-none focus:border-indigo-400"
+        />
+      </div>
+      <div className="grid grid-cols-9 gap-1">
+        {AVATARS.map(avatar => {
+          const Icon = AVATAR_ICONS[avatar];
+          return (
+            <button
+              key={`avatar-${avatar}`}
+              onClick={() => setDraft({ ...draft, avatar })}
+              aria-label={avatar}
+              aria-pressed={draft.avatar === avatar}
+              className={`aspect-square rounded-md flex items-center justify-center text-[9px] font-black ${draft.avatar === avatar ? 'bg-indigo-600 text-white' : 'bg-white/5 text-gray-400 hover:bg-white/10'}`}
+            >
+              {Icon ? <Icon size={14} /> : initialsOf(draft.displayName)}
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex gap-1 justify-between">
+        {PROFILE_COLORS.map(color => (
+          <button
+            key={`color-${color}`}
+            onClick={() => setDraft({ ...draft, color })}
+            aria-label={color}
+            aria-pressed={draft.color === color}
+            className={`w-6 h-6 rounded-full border-2 ${draft.color === color ? 'border-white scale-110' : 'border-transparent'}`}
+            style={{ backgroundColor: color }}
+          />
+        ))}
+      </div>
+      <div className="flex gap-2">
+        <button onClick={() => setEditing(false)} className="flex-1 py-1.5 rounded-lg bg-white/5 text-xs font-bold text-gray-300">CANCEL</button>
+        <button onClick={save} className="flex-1 py-1.5 rounded-lg bg-indigo-600 text-xs font-bold flex items-center justify-center gap-1"><Check size={12} /> SAVE</button>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileEditor;
@@ -0,0 +1,160 @@
+import { useState, useEffect, useMemo } from 'react';
+import { Play, Pause, X, Snowflake, Zap } from 'lucide-react';
+import MiniBoard from './MiniBoard';
+import { replayFrames } from '../game/verify';
+
+const SPEEDS = [1, 2, 4, 8];
+const TICK_MS = 100;
+const ATTACK_EFFECT_MS = 5000;
+
+const formatClock = (ms) => {
+  const total = Math.floor(ms / 1000);
+  return `${Math.floor(total / 60)}:${(total % 60).toString().padStart(2, '0')}`;
+};
+
+// position 時点で適用済みの最後のフレーム
+const frameAt = (frames, absoluteTime) => {
+  let current = frames[0];
+  for (let i = 1; i < frames.length; i++) {
+    if (frames[i].at > absoluteTime) break;
+    current = frames[i];
+  }
+  return current;
+};
+
+// record: { rounds: [{ round, seed, rules, startedAt, durationMs, players: [{ uid, label, moves }], attacks }] }
+const ReplayViewer = ({ record, onClose }) => {
+  const [roundIdx, setRoundIdx] = useState(0);
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  const round = record.rounds[roundIdx];
+  const timelines = useMemo(() => (
+    round ? round.players.map(p => replayFrames(round.seed, p.moves, round.rules, round.startedAt).frames) : []
+  ), [round]);
+
+  useEffect(() => {
+    if (!playing || !round) return;
+    const interval = setInterval(() => {
+      setPosition(prev => {
+        const next = Math.min(round.durationMs, prev + TICK_MS * speed);
+        if (next >= round.durationMs) setPlaying(false);
+        return next;
+      });
+    }, TICK_MS);
+    return () => clearInterval(interval);
+  }, [playing, speed, round]);
+
+  const selectRound = (idx) => {
+    setRoundIdx(idx);
+    setPosition(0);
+    setPlaying(false);
+  };
+
+  const togglePlay = () => {
+    if (!playing && position >= round.durationMs) setPosition(0);
+    setPlaying(!playing);
+  };
+
+  if (!round) {
+    return (
+      <div className="absolute inset-0 z-[60] bg-black/95 flex flex-col items-center justify-center gap-4">
+        <div className="text-gray-400 text-sm">再生できる記録がありません</div>
+        <button onClick={onClose} className="px-4 py-2 bg-white/10 rounded-lg text-sm font-bold">CLOSE</button>
+      </div>
+    );
+  }
+
+  const now = round.startedAt + position;
+
+  return (
+    <div className="absolute inset-0 z-[60] bg-black/95 backdrop-blur-md flex flex-col p-2 gap-2 animate-in fade-in duration-300">
+      <div className="flex items-center justify-between">
+        <div className="flex gap-1">
+          {record.rounds.map((r, idx) => (
+            <button
+              key={`replay-round-${r.round}`}
+              onClick={() => selectRound(idx)}
+              className={`px-2 py-0.5 rounded text-[10px] font-bold ${idx === roundIdx ? 'bg-indigo-600 text-white' : 'bg-white/10 text-indigo-200'}`}
+            >
+              R{r.round}
+            </button>
+          ))}
+        </div>
+        <div className="text-[10px] font-bold text-indigo-300 tracking-[0.2em]">REPLAY</div>
+        <button onClick={onClose} className="p-1 rounded bg-white/10 hover:bg-white/20"><X size={14} /></button>
+      </div>
+
+      <div className="flex-1 grid grid-cols-2 gap-2 overflow-hidden">
+        {round.players.map((player, idx) => {
+          const frame = frameAt(timelines[idx], now);
+          const { state } = frame;
+          const received = round.attacks.filter(a => a.target === player.uid);
+          const sent = round.attacks.filter(a => a.from === player.uid);
+          const frozen = received.some(a => a.timestamp <= now && now - a.timestamp < ATTACK_EFFECT_MS);
+          return (
+            <div key={`replay-${player.uid}`} className={`flex flex-col gap-1 bg-white/5 rounded-lg p-1 border ${frozen ? 'border-blue-400' : 'border-white/5'}`}>
+              <div className="flex justify-between items-center px-1">
+                <span className="text-[9px] text-gray-400 font-bold uppercase truncate">{player.label}</span>
+                <span className="font-mono font-black text-sm tabular-nums">{frame.score}</span>
+              </div>
+              <div className="flex gap-2 px-1 text-[8px] text-gray-500">
+                <span className="flex items-center gap-0.5"><Zap size={8} /> {sent.filter(a => a.timestamp <= now).length}</span>
+                <span className="flex items-center gap-0.5"><Snowflake size={8} /> {received.filter(a => a.timestamp <= now).length}</span>
+              </div>
+              <MiniBoard
+                stockCount={state.stock.length}
+                wasteTop={state.waste[state.waste.length - 1] || null}
+                foundation={state.foundation.map(pile => pile[pile.length - 1] || null)}
+                tableau={state.tableau}
+              />
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="bg-white/5 rounded-xl p-2 flex flex-col gap-2 border border-white/10">
+        <div className="relative">
+          <input
+            type="range"
+            min={0}
+            max={round.durationMs}
+            step={TICK_MS}
+            value={position}
+            onChange={(e) => setPosition(Number(e.target.value))}
+            className="w-full accent-indigo-500"
+          />
+          {round.attacks.map(a => (
+            <div
+              key={`marker-${a.id}`}
+              className="absolute -top-1 w-0.5 h-2 bg-red-500 pointer-events-none"
+              style={{ left: `${Math.min(100, Math.max(0, ((a.timestamp - round.startedAt) / round.durationMs) * 100))}%` }}
+            />
+          ))}
+        </div>
+        <div className="flex items-center justify-between">
+          <button onClick={togglePlay} className="flex items-center gap-1 px-3 py-1 bg-indigo-600 rounded-lg text-xs font-bold">
+            {playing ? <Pause size={12} /> : <Play size={12} />} {playing ? 'PAUSE' : 'PLAY'}
+          </button>
+          <div className="font-mono text-xs text-gray-300 tabular-nums">
+            {formatClock(position)} / {formatClock(round.durationMs)}
+          </div>
+          <div className="flex gap-1">
+            {SPEEDS.map(s => (
+              <button
+                key={`speed-${s}`}
+                onClick={() => setSpeed(s)}
+                className={`px-1.5 py-0.5 rounded text-[10px] font-bold ${s === speed ? 'bg-yellow-500 text-black' : 'bg-white/10 text-gray-300'}`}
+              >
+                {s}x
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplayViewer;
@@ -0,0 +1,67 @@
+import { X, Users, Eye, Swords, Clock, Play, AlertCircle } from 'lucide-react';
+import { normalizeRules } from '../game/rules';
+
+const STATUS_LABELS = {
+  waiting: { label: 'WAITING', className: 'bg-emerald-600/30 text-emerald-300' },
+  count_down: { label: 'STARTING', className: 'bg-yellow-600/30 text-yellow-300' },
+  playing: { label: 'PLAYING', className: 'bg-red-600/30 text-red-300' },
+  intermission: { label: 'BREAK', className: 'bg-indigo-600/30 text-indigo-300' },
+};
+
+// rooms: [{ id, ...ルームドキュメント }]（非公開ルームは含めない）
+// error: 一覧を読み込めなかったときのメッセージ（空の一覧と区別して表示する）
+const RoomBrowser = ({ rooms, error, onJoin, onClose }) => (
+  <div className="absolute inset-0 z-[60] bg-black/95 backdrop-blur-md flex flex-col p-4 gap-3">
+    <div className="flex items-center justify-between">
+      <div className="text-sm font-black text-indigo-300 tracking-[0.2em]">ROOMS</div>
+      <button onClick={onClose} aria-label="Close" className="p-1 rounded bg-white/10 hover:bg-white/20"><X size={14} /></button>
+    </div>
+
+    <div className="flex-1 overflow-y-auto space-y-2">
+      {error && (
+        <div role="alert" className="flex items-start gap-2 bg-red-900/40 border border-red-500/40 rounded-lg p-3 text-xs text-red-200">
+          <AlertCircle size={14} className="shrink-0 mt-0.5 text-red-400" />
+          <span>{error}</span>
+        </div>
+      )}
+      {!error && rooms.length === 0 && (
+        <div className="text-center text-gray-500 text-xs py-8">公開中のルームはありません</div>
+      )}
+      {rooms.map(room => {
+        const status = STATUS_LABELS[room.status] || STATUS_LABELS.waiting;
+        const rules = normalizeRules(room.rules);
+        const players = Object.keys(room.players || {}).length;
+        const seatOpen = room.status === 'waiting' && players < rules.maxPlayers;
+        return (
+          <div key={room.id} className="bg-white/5 border border-white/5 rounded-lg p-3 flex items-center justify-between gap-2">
+            <div className="min-w-0 space-y-1">
+              <div className="flex items-center gap-2">
+                <span className="font-mono font-bold text-indigo-200">{room.id}</span>
+                <span className={`text-[9px] font-bold px-1.5 py-0.5 rounded ${status.className}`}>{status.label}</span>
+                {rules.teams && <span className="text-[9px] font-bold px-1.5 py-0.5 rounded bg-white/10 text-gray-300">2V2</span>}
+              </div>
+              <div className="flex gap-3 text-[10px] text-gray-400 font-mono">
+                <span className="flex items-center gap-1"><Users size={10} /> {players}/{rules.maxPlayers}</span>
+                <span className="flex items-center gap-1"><Eye size={10} /> {(room.spectators || []).length}</span>
+                <span className="flex items-center gap-1"><Swords size={10} /> R{room.currentRound || 1}/{rules.maxRounds}</span>
+                <span className="flex items-center gap-1"><Clock size={10} /> {Math.floor(rules.durationSec / 60)}m</span>
+              </div>
+            </div>
+            <div className="flex gap-1 shrink-0">
+              {seatOpen && (
+                <button onClick={() => onJoin(room.id, false)} className="flex items-center gap-1 px-2 py-1 bg-indigo-600 hover:bg-indigo-500 rounded text-[10px] font-bold">
+                  <Play size={10} /> PLAY
+                </button>
+              )}
+              <button onClick={() => onJoin(room.id, true)} className="flex items-center gap-1 px-2 py-1 bg-white/10 hover:bg-white/20 rounded text-[10px] font-bold">
+                <Eye size={10} /> WATCH
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default RoomBrowser;
@@ -0,0 +1,54 @@
+import { Settings } from 'lucide-react';
+import { RULE_OPTIONS } from '../game/rules';
+
+const formatDuration = (sec) => `${Math.floor(sec / 60)}:${(sec % 60).toString().padStart(2, '0')}`;
+
+const RuleRow = ({ label, options, value, format = (v) => v, editable, onSelect }) => (
+  <div className="flex items-center justify-between gap-2">
+    <span className="text-[10px] text-gray-400 font-bold uppercase tracking-wider">{label}</span>
+    {editable ? (
+      <div className="flex gap-1">
+        {options.map(option => (
+          <button
+            key={`${label}-${option}`}
+            onClick={() => onSelect(option)}
+            className={`px-1.5 py-0.5 rounded text-[10px] font-mono font-bold transition-colors ${option === value ? 'bg-indigo-600 text-white' : 'bg-white/5 text-gray-400 hover:bg-white/10'}`}
+          >
+            {format(option)}
+          </button>
+        ))}
+      </div>
+    ) : (
+      <span className="text-xs font-mono font-bold text-indigo-200">{format(value)}</span>
+    )}
+  </div>
+);
+
+// ホストは編集でき、ゲストと観戦者には現在のルールが表示される
+const RulesPanel = ({ rules, editable, onChange }) => {
+  const set = (key, value) => onChange({ ...rules, [key]: value });
+  const setScore = (key, value) => onChange({ ...rules, scoring: { ...rules.scoring, [key]: value } });
+
+  return (
+    <div className="bg-black/20 border border-white/5 rounded-lg p-3 space-y-1.5">
+      <div className="text-xs text-gray-400 flex items-center gap-1 mb-1"><Settings size={12} /> RULES</div>
+      <RuleRow label="Time" options={RULE_OPTIONS.durationSec} value={rules.durationSec} format={formatDuration} editable={editable} onSelect={(v) => set('durationSec', v)} />
+      <RuleRow label="Rounds" options={RULE_OPTIONS.maxRounds} value={rules.maxRounds} editable={editable} onSelect={(v) => set('maxRounds', v)} />
+      <RuleRow label="Teams" options={RULE_OPTIONS.teams} value={rules.teams} format={(v) => (v ? '2v2' : 'OFF')} editable={editable} onSelect={(v) => set('teams', v)} />
+      <RuleRow label="Players" options={RULE_OPTIONS.maxPlayers} value={rules.maxPlayers} editable={editable && !rules.teams} onSelect={(v) => set('maxPlayers', v)} />
+      <RuleRow label="Attack Gauge" options={RULE_OPTIONS.maxCharge} value={rules.maxCharge} editable={editable} onSelect={(v) => set('maxCharge', v)} />
+      <RuleRow label="Combo Window" options={RULE_OPTIONS.comboWindowMs} value={rules.comboWindowMs} format={(v) => `${v / 1000}s`} editable={editable} onSelect={(v) => set('comboWindowMs', v)} />
+      <RuleRow label="Draw" options={RULE_OPTIONS.drawCount} value={rules.drawCount} editable={editable} onSelect={(v) => set('drawCount', v)} />
+      <RuleRow label="Recycles" options={RULE_OPTIONS.recycleLimit} value={rules.recycleLimit} format={(v) => (v == null ? '∞' : v)} editable={editable} onSelect={(v) => set('recycleLimit', v)} />
+      <RuleRow label="Undo Cost" options={RULE_OPTIONS.undoPenalty} value={rules.undoPenalty} editable={editable} onSelect={(v) => set('undoPenalty', v)} />
+      <RuleRow label="Undo Lock" options={RULE_OPTIONS.undoLockoutMs} value={rules.undoLockoutMs} format={(v) => `${v / 1000}s`} editable={editable} onSelect={(v) => set('undoLockoutMs', v)} />
+      <RuleRow label="Hint Cost" options={RULE_OPTIONS.hintPenalty} value={rules.hintPenalty} editable={editable} onSelect={(v) => set('hintPenalty', v)} />
+      <RuleRow label="Foundation" options={RULE_OPTIONS.foundation} value={rules.scoring.foundation} editable={editable} onSelect={(v) => setScore('foundation', v)} />
+      <RuleRow label="Reveal" options={RULE_OPTIONS.reveal} value={rules.scoring.reveal} editable={editable} onSelect={(v) => setScore('reveal', v)} />
+      <RuleRow label="Recycle" options={RULE_OPTIONS.recycle} value={rules.scoring.recycle} editable={editable} onSelect={(v) => setScore('recycle', v)} />
+      <RuleRow label="Clear Bonus" options={RULE_OPTIONS.timeBonus} value={rules.scoring.timeBonus} format={(v) => `${v}/s`} editable={editable} onSelect={(v) => setScore('timeBonus', v)} />
+    </div>
+  );
+};
+
+export default RulesPanel;
@@ -0,0 +1,50 @@
+import { Crown, Swords, Eye } from 'lucide-react';
+import MiniBoard from './MiniBoard';
+import { fromSnapshot } from '../game/engine';
+
+// players: [{ uid, label, score, charge }], boards: { [uid]: snapshot }
+const SpectatorView = ({ players, boards, attackThreshold }) => (
+  <div className="flex-1 flex flex-col gap-2 h-full">
+    <div className="text-center text-[9px] text-indigo-300 tracking-[0.2em] flex items-center justify-center gap-1">
+      <Eye size={10} /> LIVE
+    </div>
+    <div className="flex-1 grid grid-cols-2 gap-2 overflow-hidden">
+      {players.map((player, idx) => {
+        const snapshot = boards[player.uid];
+        const view = snapshot ? fromSnapshot(snapshot) : null;
+        const frozenColumns = Object.fromEntries((snapshot?.frozen || []).map(col => [col, true]));
+        return (
+          <div key={`spectate-${player.uid || idx}`} className="flex flex-col gap-1 bg-white/5 rounded-lg p-1 border border-white/5">
+            <div className="flex justify-between items-center px-1">
+              <span className="text-[9px] text-gray-400 font-bold uppercase flex items-center gap-1 truncate">
+                {idx === 0 ? <Crown size={10} className="text-yellow-500" /> : <Swords size={10} className="text-red-400" />}
+                {player.label}
+              </span>
+              <span className="font-mono font-black text-sm tabular-nums">{player.score || 0}</span>
+            </div>
+            <div className="flex gap-0.5 px-1">
+              {[...Array(attackThreshold)].map((_, i) => (
+                <div key={i} className={`w-1.5 h-1.5 rounded-full border border-black/30 ${i < (player.charge || 0) ? 'bg-red-500' : 'bg-gray-700'}`} />
+              ))}
+            </div>
+            {view ? (
+              <MiniBoard
+                stockCount={view.stockCount}
+                wasteTop={view.wasteTop}
+                foundation={view.foundation}
+                tableau={view.tableau}
+                frozenColumns={frozenColumns}
+              />
+            ) : (
+              <div className="flex-1 flex items-center justify-center text-[10px] text-gray-500 animate-pulse">
+                Waiting for board...
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  </div>
+);
+
+export default SpectatorView;
@@ -0,0 +1,72 @@
+import { X, Trophy, Flame, Zap, Star, Flag } from 'lucide-react';
+
+const RESULT_STYLES = {
+  win: 'text-yellow-300',
+  loss: 'text-gray-500',
+  draw: 'text-gray-300',
+};
+
+const StatTile = ({ icon, label, value }) => (
+  <div className="bg-white/5 rounded-lg p-2 border border-white/5 flex flex-col items-center">
+    <div className="text-[9px] text-gray-400 font-bold flex items-center gap-1">{icon} {label}</div>
+    <div className="font-mono font-black text-lg tabular-nums">{value}</div>
+  </div>
+);
+
+// stats: EMPTY_STATS と同じ形、history: 新しい順の試合履歴
+const StatsScreen = ({ stats, history, onClose }) => (
+  <div className="absolute inset-0 z-[60] bg-black/95 backdrop-blur-md flex flex-col p-4 gap-3 overflow-y-auto">
+    <div className="flex items-center justify-between">
+      <div className="text-sm font-black text-indigo-300 tracking-[0.2em]">STATS</div>
+      <button onClick={onClose} aria-label="Close" className="p-1 rounded bg-white/10 hover:bg-white/20"><X size={14} /></button>
+    </div>
+
+    <div className="text-center">
+      <div className="text-[10px] text-gray-400 font-bold">RATING</div>
+      <div className="text-4xl font-black font-mono tabular-nums text-indigo-200">{stats.rating}</div>
+      <div className="text-xs text-gray-400 mt-1 font-mono">
+        {stats.wins}W {stats.losses}L {stats.draws}D
+      </div>
+    </div>
+
+    <div className="grid grid-cols-4 gap-2">
+      <StatTile icon={<Trophy size={10} />} label="MATCHES" value={stats.matches} />
+      <StatTile icon={<Star size={10} />} label="BEST" value={stats.bestRound} />
+      <StatTile icon={<Flame size={10} />} label="COMBO" value={stats.highestCombo} />
+      <StatTile icon={<Zap size={10} />} label="LANDED" value={stats.attacksLanded} />
+    </div>
+
+    <div className="text-[10px] text-gray-400 font-bold tracking-wider mt-2">HISTORY</div>
+    {history.length === 0 ? (
+      <div className="text-center text-xs text-gray-500 py-6">まだ対戦記録がありません</div>
+    ) : (
+      <div className="space-y-2">
+        {history.map(match => (
+          <div key={match.id} className="bg-white/5 rounded-lg p-2 border border-white/5">
+            <div className="flex items-center justify-between">
+              <span className={`font-black text-sm uppercase ${RESULT_STYLES[match.result]}`}>{match.result}</span>
+              <span className="text-xs font-bold truncate mx-2 flex-1">
+                {match.teammateName && <span className="text-gray-400 font-normal">w/ {match.teammateName} </span>}
+                vs {match.opponentName}
+              </span>
+              <span className="text-[10px] text-gray-500 font-mono">{new Date(match.finishedAt).toLocaleDateString()}</span>
+            </div>
+            <div className="flex items-center justify-between mt-1 text-[10px] font-mono text-gray-400">
+              <span className="flex gap-2">
+                {match.rounds.map(r => (
+                  <span key={`${match.id}-r${r.round}`}>R{r.round} {r.score}-{r.opponentScore}</span>
+                ))}
+                {match.forfeit && <Flag size={10} className="text-red-300" />}
+              </span>
+              <span className={match.ratingAfter >= match.ratingBefore ? 'text-emerald-400' : 'text-red-400'}>
+                {match.ratingAfter >= match.ratingBefore ? '+' : ''}{match.ratingAfter - match.ratingBefore}
+              </span>
+            </div>
+          </div>
+        ))}
+      </div>
+    )}
+  </div>
+);
+
+export default StatsScreen;
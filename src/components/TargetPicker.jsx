@@ -0,0 +1,40 @@
+import { Crown, Shuffle, Crosshair } from 'lucide-react';
+import Avatar from './Avatar';
+
+const MODE_OPTIONS = [
+  { mode: 'leader', label: 'LEADER', icon: <Crown size={8} /> },
+  { mode: 'random', label: 'RANDOM', icon: <Shuffle size={8} /> },
+];
+
+// 攻撃の狙い先: 自動ルール（首位・ランダム）か特定の相手。rivals: [{ uid, profile }]
+const TargetPicker = ({ rivals, mode, onChange }) => (
+  <div role="radiogroup" aria-label="Attack target" className="pointer-events-auto flex items-center gap-1 bg-black/60 border border-white/10 rounded-full px-1.5 py-1 backdrop-blur">
+    <Crosshair size={10} className="text-red-300 mx-0.5" aria-hidden="true" />
+    {MODE_OPTIONS.map(({ mode: option, label, icon }) => (
+      <button
+        key={`target-${option}`}
+        role="radio"
+        aria-checked={mode === option}
+        onClick={() => onChange(option)}
+        className={`flex items-center gap-0.5 px-1.5 py-0.5 rounded-full text-[8px] font-black transition-colors ${mode === option ? 'bg-red-600 text-white' : 'text-gray-400 hover:bg-white/10'}`}
+      >
+        {icon} {label}
+      </button>
+    ))}
+    {rivals.map(rival => (
+      <button
+        key={`target-${rival.uid}`}
+        role="radio"
+        aria-checked={mode === rival.uid}
+        aria-label={rival.profile.displayName}
+        title={rival.profile.displayName}
+        onClick={() => onChange(rival.uid)}
+        className={`rounded-full transition-all ${mode === rival.uid ? 'ring-2 ring-red-500 scale-110' : 'opacity-60 hover:opacity-100'}`}
+      >
+        <Avatar profile={rival.profile} size={16} />
+      </button>
+    ))}
+  </div>
+);
+
+export default TargetPicker;
@@ -0,0 +1,20 @@
+import { TEAM_LABELS } from '../game/seats';
+
+const TEAM_STYLES = [
+  'bg-sky-600/30 text-sky-300 border-sky-500/40',
+  'bg-rose-600/30 text-rose-300 border-rose-500/40',
+];
+
+// チーム戦での所属表示。onClick を渡すとチームを切り替えるボタンになる
+const TeamBadge = ({ team, onClick }) => {
+  const className = `text-[9px] font-black px-1.5 py-0.5 rounded border ${TEAM_STYLES[team] || 'bg-white/5 text-gray-500 border-white/10'}`;
+  const label = `TEAM ${TEAM_LABELS[team] || '?'}`;
+  if (!onClick) return <span className={className}>{label}</span>;
+  return (
+    <button onClick={onClick} title="チームを切り替える" className={`${className} hover:brightness-125 transition-all`}>
+      {label}
+    </button>
+  );
+};
+
+export default TeamBadge;
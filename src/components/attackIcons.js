@@ -0,0 +1,8 @@
+import { Snowflake, EyeOff, Lock, Layers } from 'lucide-react';
+
+export const ATTACK_ICONS = {
+  freeze: Snowflake,
+  blind: EyeOff,
+  lock: Lock,
+  bury: Layers,
+};
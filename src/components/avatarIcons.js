@@ -0,0 +1,12 @@
+import { Cat, Dog, Bird, Fish, Ghost, Rocket, Star, Flame } from 'lucide-react';
+
+export const AVATAR_ICONS = {
+  cat: Cat,
+  dog: Dog,
+  bird: Bird,
+  fish: Fish,
+  ghost: Ghost,
+  rocket: Rocket,
+  star: Star,
+  flame: Flame,
+};
@@ -0,0 +1,61 @@
+// --- Attack Registry ---
+// cost はチャージの消費量、durationMs は受けた側で効果が続く時間。
+// bury は盤面そのものを変えるため、受けた側の手順ログに { type: 'bury' } として記録される。
+
+export const MAX_CHARGE = 6;
+
+export const ATTACKS = {
+  freeze: {
+    id: 'freeze',
+    label: 'FREEZE',
+    banner: 'FROZEN!',
+    description: '場札の1列を凍結する',
+    cost: 2,
+    durationMs: 5000,
+  },
+  blind: {
+    id: 'blind',
+    label: 'BLIND',
+    banner: 'BLINDED!',
+    description: '捨て札を裏返して使えなくする',
+    cost: 2,
+    durationMs: 6000,
+  },
+  lock: {
+    id: 'lock',
+    label: 'LOCK',
+    banner: 'LOCKED!',
+    description: '山札をロックする',
+    cost: 3,
+    durationMs: 5000,
+  },
+  bury: {
+    id: 'bury',
+    label: 'BURY',
+    banner: 'BURIED!',
+    description: '場札の1列に裏向きのカードを埋める',
+    cost: 4,
+    durationMs: 0,
+  },
+};
+
+export const ATTACK_LIST = Object.values(ATTACKS);
+
+export const canAfford = (attackId, charge) => !!ATTACKS[attackId] && charge >= ATTACKS[attackId].cost;
+
+// --- Defense ---
+// シールド: チャージを消費して次の攻撃を 1 回だけ防ぐ。
+// リフレクト: コンボ継続中に受けた攻撃は送り主に跳ね返す（跳ね返された攻撃は再反射しない）。
+
+export const SHIELD_COST = 3;
+export const REFLECT_MIN_COMBO = 2;
+
+export const DEFENSE_BANNERS = {
+  blocked: 'BLOCKED!',
+  reflected: 'REFLECTED!',
+};
+
+// --- Team Support ---
+// チーム戦では 1 回の操作で DONATE_AMOUNT ずつ味方にチャージを渡せる（味方のゲージが満タンなら渡せない）。
+
+export const DONATE_AMOUNT = 1;
@@ -0,0 +1,37 @@
+// --- Accessible Descriptions ---
+// スクリーンリーダー向けのカード名・移動の読み上げ文。
+
+import { movingCards } from './engine.js';
+
+const SUIT_NAMES = { '♠': 'spades', '♥': 'hearts', '♦': 'diamonds', '♣': 'clubs' };
+const RANK_NAMES = { A: 'ace', J: 'jack', Q: 'queen', K: 'king' };
+
+export const cardName = (card) => `${RANK_NAMES[card.rank] || card.rank} of ${SUIT_NAMES[card.suit]}`;
+
+export const describeCard = (card) => {
+  if (!card) return 'empty';
+  return card.faceUp ? `${cardName(card)}, face up` : 'face-down card';
+};
+
+export const describePile = (pileType, pileIndex) => {
+  if (pileType === 'foundation') return `foundation ${pileIndex + 1}`;
+  if (pileType === 'tableau') return `column ${pileIndex + 1}`;
+  return pileType;
+};
+
+// applyMove が返した lastMove と、移動したカードから読み上げ文を作る
+export const describeMove = (move, card) => {
+  if (move.type === 'draw') return card ? `Drew ${cardName(card)}` : 'Drew a card';
+  if (move.type === 'recycle') return 'Turned the waste back into the stock';
+  if (move.type !== 'move') return '';
+  const text = `Moved ${card ? cardName(card) : 'card'} to ${describePile(move.to.pile, move.to.index)}`;
+  return move.revealed ? `${text}. Revealed a card in ${describePile(move.from.pile, move.from.index)}` : text;
+};
+
+export const describeHint = (move, state) => {
+  if (!move) return 'No moves left';
+  if (move.type === 'draw') return 'Hint: draw from the stock';
+  if (move.type === 'recycle') return 'Hint: turn the waste back into the stock';
+  const [card] = movingCards(state, move.from);
+  return `Hint: move ${cardName(card)} to ${describePile(move.to.pile, move.to.index)}`;
+};
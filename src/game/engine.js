@@ -0,0 +1,388 @@
+import { seededRandom } from './rng.js';
+
+// --- Klondike Rules Engine ---
+// React / Firebase に依存しない純粋なルール実装。
+// GameState は常に新しいオブジェクトとして返し、引数の state は変更しない。
+//
+// GameState: { stock, waste, tableau, foundation, lastMove, drawCount, recycleLimit, recycles }
+//   drawCount / recycleLimit は配札時に決まるバリアント（recycleLimit: null は無制限）
+// Move:
+//   { type: 'draw' }                         山札から drawCount 枚めくる
+//   { type: 'recycle' }                      捨て札を山札に戻す
+//   { type: 'move', from, to }               from: { pile: 'waste' | 'tableau', index, cardIndex }
+//                                            to:   { pile: 'foundation' | 'tableau', index }
+//   { type: 'bury', index }                  攻撃を受けて山札の1枚を列の裏向きカードの上に埋める
+
+export const SUITS = ['♠', '♥', '♦', '♣'];
+export const RANKS = ['A', '2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K'];
+export const COMBO_WINDOW_MS = 3000;
+
+export const SCORE = {
+  foundation: 100,
+  reveal: 5,
+  recycle: -50,
+  timeBonus: 10, // 盤面を完成させたときの残り 1 秒あたりのボーナス
+};
+
+export const DEFAULT_VARIANT = {
+  drawCount: 1,
+  recycleLimit: null,
+};
+
+export const EMPTY_STATE = Object.freeze({
+  stock: [],
+  waste: [],
+  tableau: [],
+  foundation: [[], [], [], []],
+  lastMove: null,
+  ...DEFAULT_VARIANT,
+  recycles: 0,
+});
+
+export const shuffle = (array, random = Math.random) => {
+  const result = [...array];
+  let currentIndex = result.length, randomIndex;
+  while (currentIndex !== 0) {
+    randomIndex = Math.floor(random() * currentIndex);
+    currentIndex--;
+    [result[currentIndex], result[randomIndex]] = [result[randomIndex], result[currentIndex]];
+  }
+  return result;
+};
+
+export const createDeck = (random = Math.random) => {
+  const deck = [];
+  SUITS.forEach(suit => {
+    RANKS.forEach((rank, index) => {
+      deck.push({
+        id: `${suit}-${rank}`,
+        suit,
+        rank,
+        value: index + 1,
+        color: (suit === '♥' || suit === '♦') ? 'red' : 'black',
+        faceUp: false,
+      });
+    });
+  });
+  return shuffle(deck, random);
+};
+
+export const dealGame = (deck = createDeck(), variant = DEFAULT_VARIANT) => {
+  const tableau = [];
+  let cardIdx = 0;
+  for (let i = 0; i < 7; i++) {
+    const column = [];
+    for (let j = 0; j <= i; j++) {
+      column.push({ ...deck[cardIdx++], faceUp: j === i });
+    }
+    tableau.push(column);
+  }
+  return {
+    stock: deck.slice(cardIdx).map(c => ({ ...c, faceUp: false })),
+    waste: [],
+    tableau,
+    foundation: [[], [], [], []],
+    lastMove: null,
+    drawCount: variant.drawCount ?? DEFAULT_VARIANT.drawCount,
+    recycleLimit: variant.recycleLimit ?? DEFAULT_VARIANT.recycleLimit,
+    recycles: 0,
+  };
+};
+
+// シード指定時は全クライアントで同一の配札になる
+export const dealFromSeed = (seed, variant = DEFAULT_VARIANT) => (
+  dealGame(createDeck(seed == null ? Math.random : seededRandom(seed)), variant)
+);
+
+export const canRecycle = (state) => (
+  state.stock.length === 0 && state.waste.length > 0 &&
+  (state.recycleLimit == null || state.recycles < state.recycleLimit)
+);
+
+// --- Validation ---
+
+export const canMoveToFoundation = (state, card, pileIndex) => {
+  const targetPile = state.foundation[pileIndex];
+  if (!card || !targetPile) return false;
+  if (targetPile.length === 0) return card.rank === 'A';
+  const topCard = targetPile[targetPile.length - 1];
+  return card.suit === topCard.suit && card.value === topCard.value + 1;
+};
+
+export const canMoveToTableau = (state, card, pileIndex) => {
+  const targetPile = state.tableau[pileIndex];
+  if (!card || !targetPile) return false;
+  if (targetPile.length === 0) return card.rank === 'K';
+  const topCard = targetPile[targetPile.length - 1];
+  return card.color !== topCard.color && card.value === topCard.value - 1;
+};
+
+// 移動元から持ち上げられるカード列（移動できない場合は空配列）
+export const movingCards = (state, from) => {
+  if (!from) return [];
+  if (from.pile === 'waste') {
+    return state.waste.length > 0 ? [state.waste[state.waste.length - 1]] : [];
+  }
+  if (from.pile === 'tableau') {
+    const column = state.tableau[from.index];
+    if (!column || from.cardIndex < 0) return [];
+    const cards = column.slice(from.cardIndex);
+    if (cards.length === 0 || !cards[0].faceUp) return [];
+    return cards;
+  }
+  return [];
+};
+
+// --- Moves ---
+
+const applyCardMove = (state, move) => {
+  const { from, to } = move;
+  const cards = movingCards(state, from);
+  if (cards.length === 0) return null;
+
+  if (to.pile === 'foundation') {
+    if (cards.length !== 1 || !canMoveToFoundation(state, cards[0], to.index)) return null;
+  } else if (to.pile === 'tableau') {
+    if (from.pile === 'tableau' && from.index === to.index) return null;
+    if (!canMoveToTableau(state, cards[0], to.index)) return null;
+  } else {
+    return null;
+  }
+
+  let { waste, foundation } = state;
+  const tableau = [...state.tableau];
+  let revealed = false;
+
+  if (from.pile === 'waste') {
+    waste = waste.slice(0, -1);
+  } else {
+    const column = tableau[from.index].slice(0, from.cardIndex);
+    const lastIndex = column.length - 1;
+    if (lastIndex >= 0 && !column[lastIndex].faceUp) {
+      column[lastIndex] = { ...column[lastIndex], faceUp: true };
+      revealed = true;
+    }
+    tableau[from.index] = column;
+  }
+
+  if (to.pile === 'foundation') {
+    foundation = [...foundation];
+    foundation[to.index] = [...foundation[to.index], cards[0]];
+  } else {
+    tableau[to.index] = [...tableau[to.index], ...cards];
+  }
+
+  return { ...state, waste, tableau, foundation, lastMove: { ...move, revealed } };
+};
+
+const applyBury = (state, move) => {
+  const column = state.tableau[move.index];
+  if (!column || column.length === 0) return null;
+
+  let { stock, waste } = state;
+  let card;
+  if (stock.length > 0) {
+    [card, ...stock] = stock;
+  } else if (waste.length > 0) {
+    [card, ...waste] = waste;
+  } else {
+    return null;
+  }
+
+  const firstFaceUp = column.findIndex(c => c.faceUp);
+  const insertAt = firstFaceUp < 0 ? column.length : firstFaceUp;
+  const tableau = [...state.tableau];
+  tableau[move.index] = [...column.slice(0, insertAt), { ...card, faceUp: false }, ...column.slice(insertAt)];
+
+  return { ...state, stock, waste, tableau, lastMove: { ...move } };
+};
+
+// 不正な手の場合は null を返す。成功時の lastMove には結果（revealed など）が付与される。
+export const applyMove = (state, move) => {
+  if (!move) return null;
+  switch (move.type) {
+    case 'draw': {
+      if (state.stock.length === 0) return null;
+      const drawn = state.stock.slice(0, state.drawCount || 1);
+      return {
+        ...state,
+        stock: state.stock.slice(drawn.length),
+        waste: [...state.waste, ...drawn.map(c => ({ ...c, faceUp: true }))],
+        lastMove: { ...move },
+      };
+    }
+    case 'recycle': {
+      if (!canRecycle(state)) return null;
+      return {
+        ...state,
+        stock: state.waste.map(c => ({ ...c, faceUp: false })),
+        waste: [],
+        recycles: (state.recycles || 0) + 1,
+        lastMove: { ...move },
+      };
+    }
+    case 'move':
+      return applyCardMove(state, move);
+    case 'bury':
+      return applyBury(state, move);
+    default:
+      return null;
+  }
+};
+
+export const legalMoves = (state) => {
+  const moves = [];
+  if (state.stock.length > 0) moves.push({ type: 'draw' });
+  else if (canRecycle(state)) moves.push({ type: 'recycle' });
+
+  const sources = [];
+  if (state.waste.length > 0) sources.push({ pile: 'waste', index: 0, cardIndex: state.waste.length - 1 });
+  state.tableau.forEach((column, index) => {
+    column.forEach((card, cardIndex) => {
+      if (card.faceUp) sources.push({ pile: 'tableau', index, cardIndex });
+    });
+  });
+
+  sources.forEach(from => {
+    const candidates = [
+      ...state.foundation.map((_, index) => ({ pile: 'foundation', index })),
+      ...state.tableau.map((_, index) => ({ pile: 'tableau', index })),
+    ];
+    candidates.forEach(to => {
+      const move = { type: 'move', from, to };
+      if (applyMove(state, move)) moves.push(move);
+    });
+  });
+
+  return moves;
+};
+
+// --- Hints ---
+// 盤面が実際に進む手だけを「有効な手」とみなす（同じ高さの列の間で行き来するだけの手は除く）
+
+const isUsefulMove = (state, move) => {
+  if (move.type !== 'move') return false;
+  if (move.to.pile === 'foundation' || move.from.pile === 'waste') return true;
+  const column = state.tableau[move.from.index];
+  const firstFaceUp = column.findIndex(c => c.faceUp);
+  if (move.from.cardIndex !== firstFaceUp) {
+    // 列の途中から動かす手は、下から出てきたカードを組札に送れるなら有効
+    const exposed = column[move.from.cardIndex - 1];
+    return state.foundation.some((_, index) => canMoveToFoundation(state, exposed, index));
+  }
+  // 裏向きのカードがめくれるか、K 以外から始まる列を空けられる
+  return firstFaceUp > 0 || column[0].rank !== 'K';
+};
+
+const hintPriority = (move) => {
+  if (move.to.pile === 'foundation') return 0;
+  if (move.from.pile === 'tableau' && move.from.cardIndex > 0) return 1;
+  if (move.from.pile === 'waste') return 2;
+  return 3;
+};
+
+export const usefulMoves = (state) => legalMoves(state).filter(move => isUsefulMove(state, move));
+
+export const isCleared = (state) => state.foundation.every(pile => pile.length === RANKS.length);
+
+// 山札を一巡させても有効な手が出てこなければ詰み
+export const isDeadPosition = (state) => {
+  if (isCleared(state)) return false;
+  let sim = state;
+  const limit = (state.stock.length + state.waste.length) * 2 + 2;
+  for (let i = 0; i <= limit; i++) {
+    if (usefulMoves(sim).length > 0) return false;
+    sim = applyMove(sim, { type: sim.stock.length > 0 ? 'draw' : 'recycle' });
+    if (!sim) return true;
+  }
+  return true;
+};
+
+// 有効な手のうち優先度の高いもの。なければ山札をめくる手、詰みか完成済みなら null
+export const findHint = (state) => {
+  const [best] = usefulMoves(state).sort((a, b) => hintPriority(a) - hintPriority(b));
+  if (best) return best;
+  if (isCleared(state) || isDeadPosition(state)) return null;
+  return { type: state.stock.length > 0 ? 'draw' : 'recycle' };
+};
+
+// --- Auto Complete ---
+// 山札が空で場札がすべて表向きなら、あとは組札に送るだけで完成できる
+
+// 組札に送れるカードのうち一番小さいもの
+export const nextAutoMove = (state) => {
+  const sources = [];
+  if (state.waste.length > 0) sources.push({ pile: 'waste', index: 0, cardIndex: state.waste.length - 1 });
+  state.tableau.forEach((column, index) => {
+    if (column.length > 0) sources.push({ pile: 'tableau', index, cardIndex: column.length - 1 });
+  });
+
+  let best = null;
+  sources.forEach(from => {
+    const [card] = movingCards(state, from);
+    const to = state.foundation.findIndex((_, index) => canMoveToFoundation(state, card, index));
+    if (to >= 0 && (!best || card.value < best.card.value)) {
+      best = { card, move: { type: 'move', from, to: { pile: 'foundation', index: to } } };
+    }
+  });
+  return best ? best.move : null;
+};
+
+export const canAutoComplete = (state) => {
+  if (state.stock.length > 0 || isCleared(state)) return false;
+  if (state.tableau.some(column => column.some(c => !c.faceUp))) return false;
+  let sim = state;
+  while (!isCleared(sim)) {
+    const move = nextAutoMove(sim);
+    if (!move) return false;
+    sim = applyMove(sim, move);
+  }
+  return true;
+};
+
+// --- Scoring ---
+
+export const isFoundationMove = (move) => move?.type === 'move' && move.to.pile === 'foundation';
+
+// applyMove が返した lastMove（結果付きの手）に対する基本点
+export const scoreFor = (move, scoring = SCORE) => {
+  if (!move) return 0;
+  if (move.type === 'recycle') return scoring.recycle;
+  if (move.type !== 'move') return 0;
+  return (isFoundationMove(move) ? scoring.foundation : 0) + (move.revealed ? scoring.reveal : 0);
+};
+
+// 組札への移動が続いたときのコンボ数（ウィンドウ外なら 1 にリセット）
+export const nextCombo = (combo, lastMoveAt, now, windowMs = COMBO_WINDOW_MS) => (
+  now - lastMoveAt < windowMs ? combo + 1 : 1
+);
+
+export const comboMultiplier = (combo) => (combo > 1 ? 1 + combo * 0.2 : 1);
+
+export const chargeFor = (combo) => (combo > 3 ? 2 : 1);
+
+// --- Snapshots ---
+// 観戦用のコンパクトな盤面。Firestore はネストした配列を保存できないため、列はカンマ区切りの文字列にする。
+
+const HIDDEN_CARD = '?';
+const CARD_BY_ID = Object.fromEntries(createDeck(() => 0).map(c => [c.id, c]));
+
+export const toSnapshot = (state) => ({
+  tableau: state.tableau.map(column => column.map(c => (c.faceUp ? c.id : HIDDEN_CARD)).join(',')),
+  wasteTop: state.waste.length > 0 ? state.waste[state.waste.length - 1].id : null,
+  foundation: state.foundation.map(pile => (pile.length > 0 ? pile[pile.length - 1].id : null)),
+  stockCount: state.stock.length,
+});
+
+const cardFromId = (id) => (id ? { ...CARD_BY_ID[id], faceUp: true } : null);
+
+export const fromSnapshot = (snapshot) => ({
+  tableau: snapshot.tableau.map((column, colIdx) => (
+    column === '' ? [] : column.split(',').map((id, cardIdx) => (
+      id === HIDDEN_CARD ? { id: `hidden-${colIdx}-${cardIdx}`, faceUp: false } : cardFromId(id)
+    ))
+  )),
+  wasteTop: cardFromId(snapshot.wasteTop),
+  foundation: snapshot.foundation.map(cardFromId),
+  stockCount: snapshot.stockCount,
+});
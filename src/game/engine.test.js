@@ -0,0 +1,475 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SUITS,
+  RANKS,
+  SCORE,
+  EMPTY_STATE,
+  createDeck,
+  dealGame,
+  dealFromSeed,
+  canRecycle,
+  canMoveToFoundation,
+  canMoveToTableau,
+  movingCards,
+  applyMove,
+  legalMoves,
+  scoreFor,
+  usefulMoves,
+  isDeadPosition,
+  findHint,
+  isCleared,
+  nextAutoMove,
+  canAutoComplete,
+  toSnapshot,
+  fromSnapshot,
+} from './engine.js';
+
+// --- Helpers ---
+
+const card = (suit, rank, faceUp = true) => ({
+  id: `${suit}-${rank}`,
+  suit,
+  rank,
+  value: RANKS.indexOf(rank) + 1,
+  color: (suit === '♥' || suit === '♦') ? 'red' : 'black',
+  faceUp,
+});
+
+// 指定した山だけを持つ盤面（列は 7 本にそろえる）
+const board = ({ stock = [], waste = [], tableau = [], foundation = [[], [], [], []], ...rest } = {}) => ({
+  ...EMPTY_STATE,
+  stock,
+  waste,
+  tableau: [...tableau, ...Array(Math.max(0, 7 - tableau.length)).fill([])],
+  foundation,
+  ...rest,
+});
+
+const fromTableau = (index, cardIndex) => ({ pile: 'tableau', index, cardIndex });
+const toTableau = (index) => ({ pile: 'tableau', index });
+const toFoundation = (index) => ({ pile: 'foundation', index });
+
+// --- Dealing ---
+
+describe('dealing', () => {
+  it('creates a full deck of unique cards', () => {
+    const deck = createDeck();
+    expect(deck).toHaveLength(SUITS.length * RANKS.length);
+    expect(new Set(deck.map(c => c.id)).size).toBe(52);
+    expect(deck.every(c => !c.faceUp)).toBe(true);
+  });
+
+  it('deals seven columns with only the last card face up', () => {
+    const state = dealGame();
+    expect(state.tableau.map(column => column.length)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    state.tableau.forEach(column => {
+      column.forEach((c, idx) => expect(c.faceUp).toBe(idx === column.length - 1));
+    });
+    expect(state.stock).toHaveLength(24);
+    expect(state.waste).toEqual([]);
+    expect(state.foundation).toEqual([[], [], [], []]);
+  });
+
+  it('deals the same board from the same seed', () => {
+    expect(dealFromSeed(42)).toEqual(dealFromSeed(42));
+    expect(dealFromSeed(42)).not.toEqual(dealFromSeed(43));
+  });
+});
+
+// --- Draw & Recycle ---
+
+describe('draw and recycle', () => {
+  it('moves the top stock card face up onto the waste', () => {
+    const state = board({ stock: [card('♠', '5', false), card('♥', '9', false)] });
+    const next = applyMove(state, { type: 'draw' });
+    expect(next.stock).toEqual([card('♥', '9', false)]);
+    expect(next.waste).toEqual([card('♠', '5')]);
+    expect(next.lastMove).toEqual({ type: 'draw' });
+  });
+
+  it('cannot draw from an empty stock', () => {
+    expect(applyMove(board({ waste: [card('♠', '5')] }), { type: 'draw' })).toBeNull();
+  });
+
+  it('recycles the waste back into the stock face down in order', () => {
+    const state = board({ waste: [card('♠', '5'), card('♥', '9')] });
+    expect(canRecycle(state)).toBe(true);
+    const next = applyMove(state, { type: 'recycle' });
+    expect(next.stock).toEqual([card('♠', '5', false), card('♥', '9', false)]);
+    expect(next.waste).toEqual([]);
+    expect(next.recycles).toBe(1);
+  });
+
+  it('only recycles when the stock is empty and the waste is not', () => {
+    expect(canRecycle(board({ stock: [card('♠', '5', false)], waste: [card('♥', '9')] }))).toBe(false);
+    expect(canRecycle(board())).toBe(false);
+    expect(applyMove(board(), { type: 'recycle' })).toBeNull();
+  });
+});
+
+// --- Variants ---
+
+describe('draw-3 and recycle limits', () => {
+  it('deals with the requested variant', () => {
+    const state = dealFromSeed(5, { drawCount: 3, recycleLimit: 1 });
+    expect(state).toMatchObject({ drawCount: 3, recycleLimit: 1, recycles: 0 });
+  });
+
+  it('draws three cards at a time, or whatever is left', () => {
+    const stock = ['2', '3', '4', '5'].map(rank => card('♣', rank, false));
+    const state = board({ stock, drawCount: 3 });
+    const next = applyMove(state, { type: 'draw' });
+    expect(next.waste).toEqual(['2', '3', '4'].map(rank => card('♣', rank)));
+    expect(next.stock).toEqual([card('♣', '5', false)]);
+    const last = applyMove(next, { type: 'draw' });
+    expect(last.waste.map(c => c.rank)).toEqual(['2', '3', '4', '5']);
+    expect(last.stock).toEqual([]);
+  });
+
+  it('only plays the top waste card after a draw-3', () => {
+    const stock = ['A', '2', '3'].map(rank => card('♠', rank, false));
+    const next = applyMove(board({ stock, drawCount: 3 }), { type: 'draw' });
+    expect(movingCards(next, { pile: 'waste', index: 0, cardIndex: 2 })).toEqual([card('♠', '3')]);
+    expect(legalMoves(next).some(move => move.to?.pile === 'foundation')).toBe(false);
+  });
+
+  it('stops recycling once the limit is used up', () => {
+    let state = board({ waste: [card('♦', '5')], recycleLimit: 1 });
+    state = applyMove(state, { type: 'recycle' });
+    state = applyMove(state, { type: 'draw' });
+    expect(canRecycle(state)).toBe(false);
+    expect(applyMove(state, { type: 'recycle' })).toBeNull();
+    expect(legalMoves(state)).not.toContainEqual({ type: 'recycle' });
+  });
+
+  it('recycles without limit by default', () => {
+    let state = board({ waste: [card('♦', '5')] });
+    for (let i = 0; i < 5; i++) {
+      state = applyMove(applyMove(state, { type: 'recycle' }), { type: 'draw' });
+    }
+    expect(state.recycles).toBe(5);
+    expect(canRecycle(state)).toBe(true);
+  });
+});
+
+// --- Foundation ---
+
+describe('foundation rules', () => {
+  it('starts a foundation with an ace only', () => {
+    const state = board();
+    expect(canMoveToFoundation(state, card('♠', 'A'), 0)).toBe(true);
+    expect(canMoveToFoundation(state, card('♠', '2'), 0)).toBe(false);
+  });
+
+  it('builds up by suit one rank at a time', () => {
+    const state = board({ foundation: [[card('♥', 'A')], [], [], []] });
+    expect(canMoveToFoundation(state, card('♥', '2'), 0)).toBe(true);
+    expect(canMoveToFoundation(state, card('♦', '2'), 0)).toBe(false);
+    expect(canMoveToFoundation(state, card('♥', '3'), 0)).toBe(false);
+  });
+
+  it('only accepts a single card', () => {
+    const state = board({ tableau: [[card('♠', 'A'), card('♥', 'K')]] });
+    // A の上に K が載っているので A だけを持ち上げることはできない
+    expect(applyMove(state, { type: 'move', from: fromTableau(0, 0), to: toFoundation(0) })).toBeNull();
+  });
+});
+
+// --- Tableau ---
+
+describe('tableau rules', () => {
+  it('fills an empty column with a king only', () => {
+    const state = board();
+    expect(canMoveToTableau(state, card('♠', 'K'), 0)).toBe(true);
+    expect(canMoveToTableau(state, card('♠', 'Q'), 0)).toBe(false);
+  });
+
+  it('builds down in alternating colours', () => {
+    const state = board({ tableau: [[card('♠', '8')]] });
+    expect(canMoveToTableau(state, card('♥', '7'), 0)).toBe(true);
+    expect(canMoveToTableau(state, card('♣', '7'), 0)).toBe(false);
+    expect(canMoveToTableau(state, card('♥', '6'), 0)).toBe(false);
+  });
+
+  it('cannot lift face-down cards', () => {
+    const state = board({ tableau: [[card('♠', '8', false), card('♥', '7')]] });
+    expect(movingCards(state, fromTableau(0, 0))).toEqual([]);
+    expect(movingCards(state, fromTableau(0, 1))).toEqual([card('♥', '7')]);
+  });
+
+  it('cannot move a column onto itself', () => {
+    const state = board({ tableau: [[card('♠', 'K')]] });
+    expect(applyMove(state, { type: 'move', from: fromTableau(0, 0), to: toTableau(0) })).toBeNull();
+  });
+});
+
+// --- Runs & Reveals ---
+
+describe('run moves', () => {
+  it('moves a face-up run together and reveals the card beneath', () => {
+    const state = board({
+      tableau: [
+        [card('♦', '2', false), card('♠', '8'), card('♥', '7')],
+        [card('♥', '9')],
+      ],
+    });
+    const next = applyMove(state, { type: 'move', from: fromTableau(0, 1), to: toTableau(1) });
+    expect(next.tableau[1]).toEqual([card('♥', '9'), card('♠', '8'), card('♥', '7')]);
+    expect(next.tableau[0]).toEqual([card('♦', '2')]);
+    expect(next.lastMove.revealed).toBe(true);
+  });
+
+  it('does not flag a reveal when the source column is emptied or already face up', () => {
+    const state = board({
+      tableau: [[card('♠', 'K')], [], [card('♥', '9'), card('♠', '8')], [card('♦', '9')]],
+    });
+    const toEmpty = applyMove(state, { type: 'move', from: fromTableau(0, 0), to: toTableau(1) });
+    expect(toEmpty.lastMove.revealed).toBe(false);
+    const onto = applyMove(state, { type: 'move', from: fromTableau(2, 1), to: toTableau(3) });
+    expect(onto.lastMove.revealed).toBe(false);
+  });
+
+  it('moves the waste top card', () => {
+    const state = board({ waste: [card('♣', '3'), card('♥', '7')], tableau: [[card('♠', '8')]] });
+    const next = applyMove(state, { type: 'move', from: { pile: 'waste', index: 0, cardIndex: 1 }, to: toTableau(0) });
+    expect(next.waste).toEqual([card('♣', '3')]);
+    expect(next.tableau[0]).toEqual([card('♠', '8'), card('♥', '7')]);
+  });
+
+  it('leaves the original state untouched', () => {
+    const state = board({ stock: [card('♠', '5', false)] });
+    const snapshot = JSON.parse(JSON.stringify(state));
+    applyMove(state, { type: 'draw' });
+    expect(state).toEqual(snapshot);
+  });
+});
+
+// --- Legal Moves ---
+
+describe('legalMoves', () => {
+  it('lists draw, foundation and tableau moves', () => {
+    const state = board({
+      stock: [card('♣', '2', false)],
+      waste: [card('♠', 'A')],
+      tableau: [[card('♥', '9')], [card('♣', '8')]],
+    });
+    // A はどの空の組札にも置ける
+    expect(legalMoves(state)).toEqual([
+      { type: 'draw' },
+      ...[0, 1, 2, 3].map(index => ({ type: 'move', from: { pile: 'waste', index: 0, cardIndex: 0 }, to: toFoundation(index) })),
+      { type: 'move', from: fromTableau(1, 0), to: toTableau(0) },
+    ]);
+  });
+
+  it('offers recycle instead of draw once the stock is empty', () => {
+    const moves = legalMoves(board({ waste: [card('♦', '5')] }));
+    expect(moves).toContainEqual({ type: 'recycle' });
+    expect(moves).not.toContainEqual({ type: 'draw' });
+  });
+
+  it('returns only moves that applyMove accepts', () => {
+    const state = dealFromSeed(7);
+    legalMoves(state).forEach(move => expect(applyMove(state, move)).not.toBeNull());
+  });
+});
+
+// --- Scoring ---
+
+describe('scoreFor', () => {
+  it('scores foundation moves, reveals and recycles', () => {
+    const foundationMove = { type: 'move', from: fromTableau(0, 1), to: toFoundation(0), revealed: false };
+    expect(scoreFor(foundationMove)).toBe(SCORE.foundation);
+    expect(scoreFor({ ...foundationMove, revealed: true })).toBe(SCORE.foundation + SCORE.reveal);
+    expect(scoreFor({ type: 'move', from: fromTableau(0, 1), to: toTableau(1), revealed: true })).toBe(SCORE.reveal);
+    expect(scoreFor({ type: 'recycle' })).toBe(SCORE.recycle);
+    expect(scoreFor({ type: 'draw' })).toBe(0);
+    expect(scoreFor(null)).toBe(0);
+  });
+
+  it('uses the room scoring table when given', () => {
+    const scoring = { ...SCORE, foundation: 50, recycle: -100 };
+    expect(scoreFor({ type: 'move', from: fromTableau(0, 0), to: toFoundation(0), revealed: false }, scoring)).toBe(50);
+    expect(scoreFor({ type: 'recycle' }, scoring)).toBe(-100);
+  });
+});
+
+// --- Hints & Dead Positions ---
+
+const run = (suit, from, to) => RANKS.slice(RANKS.indexOf(from), RANKS.indexOf(to) + 1).map(rank => card(suit, rank));
+
+describe('hints and dead positions', () => {
+  it('prefers foundation moves, then reveals, then waste plays', () => {
+    const state = board({
+      stock: [card('♣', '9', false)],
+      waste: [card('♦', '7')],
+      tableau: [[card('♦', '2', false), card('♠', '8')], [card('♥', '9')], [card('♠', 'A')]],
+    });
+    expect(findHint(state)).toEqual({ type: 'move', from: fromTableau(2, 0), to: toFoundation(0) });
+
+    const noAce = { ...state, tableau: state.tableau.slice(0, 2).concat([[], [], [], [], []]) };
+    expect(findHint(noAce)).toEqual({ type: 'move', from: fromTableau(0, 1), to: toTableau(1) });
+  });
+
+  it('ignores kings shuffled between empty columns', () => {
+    const state = board({ tableau: [[card('♠', 'K')], []] });
+    expect(usefulMoves(state)).toEqual([]);
+  });
+
+  it('ignores splitting a run when nothing can reach a foundation', () => {
+    const state = board({ tableau: [[card('♣', '9', false), card('♠', '6'), card('♥', '5'), card('♠', '4')], [card('♦', '5')]] });
+    expect(usefulMoves(state)).toEqual([]);
+    expect(isDeadPosition(state)).toBe(true);
+  });
+
+  it('counts a partial run move that frees a card for the foundation', () => {
+    const state = board({
+      tableau: [[card('♣', '9', false), card('♠', '6'), card('♥', '5'), card('♠', '4')], [card('♦', '5')]],
+      foundation: [run('♥', 'A', '4'), run('♠', 'A', '2'), [], []],
+    });
+    const move = { type: 'move', from: fromTableau(0, 3), to: toTableau(1) };
+    expect(usefulMoves(state)).toEqual([move]);
+    expect(isDeadPosition(state)).toBe(false);
+    expect(findHint(state)).toEqual(move);
+  });
+
+  it('looks through the stock before declaring a dead position', () => {
+    const state = board({
+      stock: [card('♣', '5', false), card('♠', 'A', false)],
+      tableau: [[card('♥', '9')]],
+    });
+    expect(usefulMoves(state)).toEqual([]);
+    expect(isDeadPosition(state)).toBe(false);
+    expect(findHint(state)).toEqual({ type: 'draw' });
+  });
+
+  it('is dead when the recycle limit leaves nothing to play', () => {
+    const state = board({ waste: [card('♣', '5'), card('♦', '3')], tableau: [[card('♥', '9')]], recycleLimit: 0 });
+    expect(isDeadPosition(state)).toBe(true);
+    expect(findHint(state)).toBeNull();
+  });
+
+  it('never hints on a cleared board', () => {
+    const cleared = board({ foundation: SUITS.map(suit => run(suit, 'A', 'K')) });
+    expect(isDeadPosition(cleared)).toBe(false);
+    expect(findHint(cleared)).toBeNull();
+  });
+});
+
+// --- Auto Complete ---
+
+describe('auto complete', () => {
+  // 各スートの 10 まで組札にあり、残りが表向きで場に並んでいる盤面
+  const nearlyDone = () => board({
+    tableau: [
+      [card('♠', 'K'), card('♥', 'Q'), card('♠', 'J')],
+      [card('♥', 'K'), card('♠', 'Q'), card('♥', 'J')],
+      [card('♦', 'K'), card('♣', 'Q'), card('♦', 'J')],
+      [card('♣', 'K'), card('♦', 'Q'), card('♣', 'J')],
+    ],
+    foundation: SUITS.map(suit => run(suit, 'A', '10')),
+  });
+
+  it('finishes a board with everything face up', () => {
+    let state = nearlyDone();
+    expect(canAutoComplete(state)).toBe(true);
+    let move;
+    while ((move = nextAutoMove(state))) state = applyMove(state, move);
+    expect(isCleared(state)).toBe(true);
+  });
+
+  it('sends the lowest playable card first', () => {
+    const state = board({
+      waste: [card('♥', '2')],
+      tableau: [[card('♠', '3')], [card('♣', 'A')]],
+      foundation: [run('♠', 'A', '2'), [card('♥', 'A')], [], []],
+    });
+    expect(nextAutoMove(state)).toEqual({ type: 'move', from: fromTableau(1, 0), to: toFoundation(2) });
+  });
+
+  it('waits while cards remain in the stock or face down', () => {
+    const withStock = { ...nearlyDone(), stock: [card('♠', 'A', false)] };
+    expect(canAutoComplete(withStock)).toBe(false);
+
+    const hidden = nearlyDone();
+    hidden.tableau[0] = [{ ...card('♠', 'K'), faceUp: false }, card('♥', 'Q'), card('♠', 'J')];
+    expect(canAutoComplete(hidden)).toBe(false);
+  });
+
+  it('refuses when the remaining cards block each other', () => {
+    const blocked = nearlyDone();
+    // ♥Q の下に ♠J、♠Q の下に ♥J があり、どちらも先に送れない
+    blocked.tableau[0] = [card('♠', 'K'), card('♠', 'J'), card('♥', 'Q')];
+    blocked.tableau[1] = [card('♥', 'K'), card('♥', 'J'), card('♠', 'Q')];
+    expect(canAutoComplete(blocked)).toBe(false);
+  });
+
+  it('does nothing on a cleared board', () => {
+    expect(canAutoComplete(board({ foundation: SUITS.map(suit => run(suit, 'A', 'K')) }))).toBe(false);
+  });
+});
+
+// --- Bury Attack ---
+
+describe('bury', () => {
+  it('buries the top stock card face down beneath the face-up run', () => {
+    const state = board({
+      stock: [card('♣', '2', false), card('♣', '3', false)],
+      tableau: [[card('♦', '5', false), card('♠', '8'), card('♥', '7')]],
+    });
+    const next = applyMove(state, { type: 'bury', index: 0 });
+    expect(next.stock).toEqual([card('♣', '3', false)]);
+    expect(next.tableau[0]).toEqual([card('♦', '5', false), card('♣', '2', false), card('♠', '8'), card('♥', '7')]);
+    expect(next.lastMove).toEqual({ type: 'bury', index: 0 });
+  });
+
+  it('takes the oldest waste card once the stock is empty', () => {
+    const state = board({ waste: [card('♣', '2'), card('♣', '3')], tableau: [[card('♠', '8')]] });
+    const next = applyMove(state, { type: 'bury', index: 0 });
+    expect(next.waste).toEqual([card('♣', '3')]);
+    expect(next.tableau[0]).toEqual([card('♣', '2', false), card('♠', '8')]);
+  });
+
+  it('cannot bury into an empty column or without spare cards', () => {
+    expect(applyMove(board({ stock: [card('♣', '2', false)] }), { type: 'bury', index: 0 })).toBeNull();
+    expect(applyMove(board({ tableau: [[card('♠', '8')]] }), { type: 'bury', index: 0 })).toBeNull();
+  });
+
+  it('is never offered as a legal move', () => {
+    const state = board({ stock: [card('♣', '2', false)], tableau: [[card('♠', '8')]] });
+    expect(legalMoves(state).some(move => move.type === 'bury')).toBe(false);
+  });
+});
+
+// --- Snapshots ---
+
+describe('snapshots', () => {
+  it('round-trips the visible board and hides face-down cards', () => {
+    const state = board({
+      stock: [card('♣', '2', false), card('♣', '3', false)],
+      waste: [card('♦', '4'), card('♥', '7')],
+      tableau: [[card('♦', '2', false), card('♠', '8')], [], [card('♥', 'K')]],
+      foundation: [[card('♠', 'A'), card('♠', '2')], [], [], []],
+    });
+    const snapshot = toSnapshot(state);
+    expect(snapshot.tableau.slice(0, 3)).toEqual(['?,♠-8', '', '♥-K']);
+
+    const view = fromSnapshot(JSON.parse(JSON.stringify(snapshot)));
+    expect(view.tableau[0]).toEqual([{ id: 'hidden-0-0', faceUp: false }, card('♠', '8')]);
+    expect(view.tableau[1]).toEqual([]);
+    expect(view.tableau[2]).toEqual([card('♥', 'K')]);
+    expect(view.wasteTop).toEqual(card('♥', '7'));
+    expect(view.foundation).toEqual([card('♠', '2'), null, null, null]);
+    expect(view.stockCount).toBe(2);
+  });
+
+  it('round-trips a fresh deal', () => {
+    const state = dealFromSeed(11);
+    const view = fromSnapshot(toSnapshot(state));
+    view.tableau.forEach((column, idx) => {
+      expect(column).toHaveLength(state.tableau[idx].length);
+      expect(column[column.length - 1]).toEqual(state.tableau[idx][idx]);
+    });
+    expect(view.wasteTop).toBeNull();
+    expect(view.stockCount).toBe(24);
+  });
+});
@@ -0,0 +1,18 @@
+// --- Seeded PRNG ---
+// 同じシードからは必ず同じ乱数列が生成されるので、全クライアントで同一の配札を再現できる。
+
+export const createSeed = () => crypto.getRandomValues(new Uint32Array(1))[0];
+
+// mulberry32: 32bit シードから [0, 1) の乱数を返す関数を作る
+export const seededRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const formatSeed = (seed) => (seed >>> 0).toString(36).toUpperCase().padStart(7, '0');
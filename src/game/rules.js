@@ -0,0 +1,69 @@
+// --- Room Rules ---
+// ホストがルームロビーで選び、ルームドキュメントの rules に保存される。
+// 古いルームや欠けた項目はデフォルト値で補う。
+
+import { SCORE, COMBO_WINDOW_MS, DEFAULT_VARIANT } from './engine.js';
+import { MAX_CHARGE } from './attacks.js';
+import { TEAMS, TEAM_SIZE } from './seats.js';
+
+// 取り消せる手の数（クライアントの undo スタックと検証の両方で使う）
+export const UNDO_DEPTH = 10;
+
+export const DEFAULT_RULES = {
+  durationSec: 180,
+  maxRounds: 3,
+  maxCharge: MAX_CHARGE,
+  comboWindowMs: COMBO_WINDOW_MS,
+  scoring: { ...SCORE },
+  ...DEFAULT_VARIANT,
+  undoPenalty: -20,
+  undoLockoutMs: 0,
+  hintPenalty: 0,
+  maxPlayers: 2,
+  teams: false,
+};
+
+export const RULE_OPTIONS = {
+  durationSec: [60, 120, 180, 300],
+  maxRounds: [1, 3, 5],
+  maxCharge: [4, 6, 8],
+  comboWindowMs: [2000, 3000, 5000],
+  foundation: [50, 100, 200],
+  reveal: [0, 5, 10],
+  recycle: [0, -50, -100],
+  drawCount: [1, 3],
+  recycleLimit: [null, 1, 3],
+  undoPenalty: [0, -20, -50, -100],
+  undoLockoutMs: [0, 2000, 5000],
+  hintPenalty: [0, -10, -25, -50],
+  timeBonus: [0, 5, 10, 20],
+  maxPlayers: [2, 3, 4],
+  teams: [false, true],
+};
+
+export const variantOf = (rules) => ({
+  drawCount: rules.drawCount,
+  recycleLimit: rules.recycleLimit,
+});
+
+// 盤面を完成させた時点の残り秒数 × scoring.timeBonus（タイマー表示と同じく秒単位で切り捨て）
+export const clearBonus = (rules, startedAt, at) => {
+  if (startedAt == null) return 0;
+  const remainingSec = Math.max(0, rules.durationSec - Math.floor((at - startedAt) / 1000));
+  return remainingSec * rules.scoring.timeBonus;
+};
+
+// 制限時間を過ぎたか（クライアントはここで操作を止める。ラウンド終了の書き込みを待たない）
+export const isTimeUp = (rules, startedAt, now) => (
+  startedAt != null && now >= startedAt + rules.durationSec * 1000
+);
+
+// チーム戦の席数は 2 チーム分で固定
+export const normalizeRules = (rules) => {
+  const merged = {
+    ...DEFAULT_RULES,
+    ...rules,
+    scoring: { ...DEFAULT_RULES.scoring, ...rules?.scoring },
+  };
+  return merged.teams ? { ...merged, maxPlayers: TEAMS.length * TEAM_SIZE } : merged;
+};
@@ -0,0 +1,22 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RULES, normalizeRules, isTimeUp } from './rules.js';
+
+const STARTED_AT = 1_700_000_000_000;
+
+describe('isTimeUp', () => {
+  const rules = normalizeRules({ durationSec: 60 });
+
+  it('lets moves through until the round time is used up', () => {
+    expect(isTimeUp(rules, STARTED_AT, STARTED_AT)).toBe(false);
+    expect(isTimeUp(rules, STARTED_AT, STARTED_AT + 59_999)).toBe(false);
+  });
+
+  it('blocks moves once the time is up, even before the round end is written', () => {
+    expect(isTimeUp(rules, STARTED_AT, STARTED_AT + 60_000)).toBe(true);
+    expect(isTimeUp(rules, STARTED_AT, STARTED_AT + 75_000)).toBe(true);
+  });
+
+  it('never blocks while the round start is unknown', () => {
+    expect(isTimeUp(DEFAULT_RULES, null, STARTED_AT)).toBe(false);
+  });
+});
@@ -0,0 +1,126 @@
+// --- Player Seats ---
+// ルームの players マップ { [uid]: { seat, score, totalScore, charge, shield, surrendered, cleared, out } }。
+// seat は着席順（0 が最初に座ったプレイヤー）。out は試合を放棄したプレイヤーで、順位では最下位に並ぶ。
+// team はチーム戦（rules.teams）での所属で、個人戦では使わない。
+
+import { placeResult } from './stats.js';
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 4;
+
+// ラウンドごとにリセットする項目
+export const ROUND_FIELDS = { score: 0, charge: 0, shield: false, surrendered: false, cleared: false };
+
+export const newSeat = (seat, team = seat % 2) => ({ seat, team, totalScore: 0, out: false, ...ROUND_FIELDS });
+
+// 着席順の uid 一覧
+export const playerIds = (room) => (
+  Object.entries(room?.players || {}).sort(([, a], [, b]) => a.seat - b.seat).map(([uid]) => uid)
+);
+
+export const activeIds = (room) => playerIds(room).filter(uid => !room.players[uid].out);
+
+// 攻撃を向ける相手（チーム戦では相手チームだけ）
+export const rivalIds = (room, uid) => activeIds(room).filter(id => id !== uid && !sameTeam(room, id, uid));
+
+// 空いている一番小さい席番号
+export const nextSeat = (players) => {
+  const taken = new Set(Object.values(players || {}).map(p => p.seat));
+  let seat = 0;
+  while (taken.has(seat)) seat++;
+  return seat;
+};
+
+// updateDoc 用のフィールドパス（players.{uid}.{key}）
+export const playerField = (uid, key) => `players.${uid}.${key}`;
+
+export const roundResetFields = (room) => Object.fromEntries(
+  playerIds(room).flatMap(uid => Object.entries(ROUND_FIELDS).map(([key, value]) => [playerField(uid, key), value]))
+);
+
+// 得点の高い順に 1 から順位を付ける（同点は同順位、out のプレイヤーは得点に関係なく後ろ）
+export const rankBy = (scores, out = []) => {
+  const beats = (a, b) => {
+    const aOut = out.includes(a);
+    const bOut = out.includes(b);
+    if (aOut !== bOut) return bOut;
+    return scores[a] > scores[b];
+  };
+  const uids = Object.keys(scores);
+  return Object.fromEntries(uids.map(uid => [uid, 1 + uids.filter(other => beats(other, uid)).length]));
+};
+
+// 単独 1 位なら uid、1 位が並んだら 'draw'
+export const winnerOf = (ranks) => {
+  const top = Object.keys(ranks).filter(uid => ranks[uid] === 1);
+  return top.length === 1 ? top[0] : 'draw';
+};
+
+// --- Teams ---
+// チーム戦では 2 人ずつの 2 チームに分かれ、順位・勝敗はメンバーの合計点で決める。
+
+export const TEAMS = [0, 1];
+export const TEAM_SIZE = 2;
+export const TEAM_LABELS = ['A', 'B'];
+
+export const isTeamRoom = (room) => !!room?.rules?.teams;
+
+export const teamOf = (room, uid) => room?.players?.[uid]?.team ?? null;
+
+const sameTeam = (room, a, b) => isTeamRoom(room) && teamOf(room, a) === teamOf(room, b);
+
+export const teamIds = (room, team) => playerIds(room).filter(uid => teamOf(room, uid) === team);
+
+export const teammateIds = (room, uid) => (
+  isTeamRoom(room) ? activeIds(room).filter(id => id !== uid && sameTeam(room, id, uid)) : []
+);
+
+// 人数の少ないチーム（同数ならチーム 0）
+export const nextTeam = (players) => {
+  const counts = TEAMS.map(team => Object.values(players || {}).filter(p => p.team === team).length);
+  return counts[1] < counts[0] ? 1 : 0;
+};
+
+// 両チームが TEAM_SIZE 人ずつ揃っていれば開始できる
+export const teamsReady = (room) => TEAMS.every(team => teamIds(room, team).filter(uid => !room.players[uid].out).length === TEAM_SIZE);
+
+// scores: { [uid]: 点 } → { [team]: 合計 }
+export const teamTotals = (room, scores) => Object.fromEntries(
+  TEAMS.map(team => [team, teamIds(room, team).reduce((sum, uid) => sum + (scores[uid] || 0), 0)])
+);
+
+export const teamKey = (team) => `team${team}`;
+
+// 試合の順位 { [uid]: 順位 }。チーム戦ではチームの順位をメンバー全員に付け、棄権者のいるチームは後ろに並ぶ
+export const matchStandings = (room, totals, out = []) => {
+  if (!isTeamRoom(room)) return rankBy(totals, out);
+  const teamOut = TEAMS.filter(team => teamIds(room, team).some(uid => out.includes(uid))).map(String);
+  const teamRanks = rankBy(teamTotals(room, totals), teamOut);
+  return Object.fromEntries(playerIds(room).map(uid => [uid, teamRanks[teamOf(room, uid)]]));
+};
+
+// 個人戦は winnerOf と同じ。チーム戦は勝ったチームの teamKey か 'draw'
+export const matchWinner = (room, standings) => {
+  if (!isTeamRoom(room)) return winnerOf(standings);
+  const top = TEAMS.filter(team => teamIds(room, team).some(uid => standings[uid] === 1));
+  return top.length === 1 ? teamKey(top[0]) : 'draw';
+};
+
+// 終わった試合での uid の結果（'win' | 'draw' | 'loss'）。チーム戦ではチームの勝敗に従う
+export const matchResult = (room, uid) => {
+  if (!isTeamRoom(room)) return placeResult(room.standings, uid);
+  if (room.winner === 'draw') return 'draw';
+  return room.winner === teamKey(teamOf(room, uid)) ? 'win' : 'loss';
+};
+
+// --- Attack Targeting ---
+// mode: 'leader'（試合の合計が最も高い相手）| 'random' | 特定の相手の uid
+
+export const TARGET_MODES = ['leader', 'random'];
+
+export const pickTarget = (mode, rivals, standings, random = Math.random) => {
+  if (rivals.length === 0) return null;
+  if (rivals.includes(mode)) return mode;
+  if (mode === 'random') return rivals[Math.floor(random() * rivals.length)];
+  return [...rivals].sort((a, b) => (standings[b] || 0) - (standings[a] || 0))[0];
+};
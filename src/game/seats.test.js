@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest';
+import {
+  newSeat,
+  playerIds,
+  activeIds,
+  rivalIds,
+  teammateIds,
+  nextSeat,
+  nextTeam,
+  teamsReady,
+  rankBy,
+  winnerOf,
+  teamTotals,
+  matchStandings,
+  matchWinner,
+  matchResult,
+  pickTarget,
+} from './seats.js';
+
+// uid ごとに { seat, team, ...上書き } を持つルーム
+const room = (seats, rules = {}) => ({
+  rules,
+  players: Object.fromEntries(Object.entries(seats).map(([uid, [seat, team, extra]]) => [uid, { ...newSeat(seat, team), ...extra }])),
+});
+
+const duel = () => room({ b: [1, 1], a: [0, 0] });
+const fourWay = () => room({ a: [0, 0], b: [1, 1], c: [2, 0], d: [3, 1, { out: true }] });
+const teams = (extra = {}) => room({ a: [0, 0], b: [1, 1], c: [2, 0, extra.c], d: [3, 1, extra.d] }, { teams: true });
+
+describe('seats', () => {
+  it('lists players in seat order and leaves out players off the active list', () => {
+    expect(playerIds(duel())).toEqual(['a', 'b']);
+    expect(activeIds(fourWay())).toEqual(['a', 'b', 'c']);
+  });
+
+  it('targets every other active player, or only the other team', () => {
+    expect(rivalIds(fourWay(), 'a')).toEqual(['b', 'c']);
+    expect(rivalIds(teams(), 'a')).toEqual(['b', 'd']);
+    expect(teammateIds(teams(), 'a')).toEqual(['c']);
+    expect(teammateIds(fourWay(), 'a')).toEqual([]);
+  });
+
+  it('fills the lowest free seat and the smaller team', () => {
+    expect(nextSeat({})).toBe(0);
+    expect(nextSeat({ a: { seat: 0 }, b: { seat: 2 } })).toBe(1);
+    expect(nextTeam({})).toBe(0);
+    expect(nextTeam({ a: { team: 0 } })).toBe(1);
+    expect(nextTeam({ a: { team: 0 }, b: { team: 1 } })).toBe(0);
+  });
+
+  it('needs two active players on each team to start', () => {
+    expect(teamsReady(teams())).toBe(true);
+    expect(teamsReady(teams({ d: { out: true } }))).toBe(false);
+  });
+});
+
+describe('rankBy', () => {
+  it('ranks by score and shares a rank on ties', () => {
+    expect(rankBy({ a: 300, b: 500, c: 300, d: 100 })).toEqual({ a: 2, b: 1, c: 2, d: 4 });
+  });
+
+  it('puts out players last whatever their score', () => {
+    expect(rankBy({ a: 900, b: 100, c: 200 }, ['a'])).toEqual({ a: 3, b: 2, c: 1 });
+    expect(rankBy({ a: 900, b: 100 }, ['a', 'b'])).toEqual({ a: 1, b: 2 });
+  });
+
+  it('picks a sole leader or a draw', () => {
+    expect(winnerOf({ a: 1, b: 2 })).toBe('a');
+    expect(winnerOf({ a: 1, b: 1, c: 3 })).toBe('draw');
+  });
+});
+
+describe('matchStandings', () => {
+  it('ranks a surrendered player by score but an out player last', () => {
+    const r = room({ a: [0, 0, { surrendered: true }], b: [1, 1], c: [2, 0, { out: true }] });
+    expect(matchStandings(r, { a: 400, b: 300, c: 900 }, ['c'])).toEqual({ a: 1, b: 2, c: 3 });
+    expect(matchWinner(r, { a: 1, b: 2, c: 3 })).toBe('a');
+  });
+
+  it('ranks teams on the total of their members', () => {
+    const r = teams();
+    const totals = { a: 100, b: 300, c: 400, d: 150 };
+    expect(teamTotals(r, totals)).toEqual({ 0: 500, 1: 450 });
+    const standings = matchStandings(r, totals);
+    expect(standings).toEqual({ a: 1, b: 2, c: 1, d: 2 });
+    expect(matchWinner(r, standings)).toBe('team0');
+  });
+
+  it('counts a missing score as zero in the team total', () => {
+    expect(teamTotals(teams(), { a: 100, b: 50 })).toEqual({ 0: 100, 1: 50 });
+  });
+
+  it('draws teams with equal totals', () => {
+    const r = teams();
+    const standings = matchStandings(r, { a: 200, b: 100, c: 100, d: 200 });
+    expect(standings).toEqual({ a: 1, b: 1, c: 1, d: 1 });
+    expect(matchWinner(r, standings)).toBe('draw');
+  });
+
+  it('puts a team with an out member last', () => {
+    const r = teams({ c: { out: true } });
+    expect(matchStandings(r, { a: 500, b: 0, c: 500, d: 0 }, ['c'])).toEqual({ a: 2, b: 1, c: 2, d: 1 });
+  });
+});
+
+describe('matchResult', () => {
+  it('follows the standings in a free-for-all', () => {
+    const r = { ...duel(), standings: { a: 1, b: 2 } };
+    expect(matchResult(r, 'a')).toBe('win');
+    expect(matchResult(r, 'b')).toBe('loss');
+  });
+
+  it('follows the team result in a team match', () => {
+    const r = { ...teams(), winner: 'team1' };
+    expect(matchResult(r, 'b')).toBe('win');
+    expect(matchResult(r, 'c')).toBe('loss');
+    expect(matchResult({ ...r, winner: 'draw' }, 'a')).toBe('draw');
+  });
+});
+
+describe('pickTarget', () => {
+  const standings = { b: 300, c: 700, d: 700 };
+
+  it('aims at the leader and breaks ties by seat order', () => {
+    expect(pickTarget('leader', ['b', 'c', 'd'], standings)).toBe('c');
+    expect(pickTarget('leader', ['b', 'd', 'c'], standings)).toBe('d');
+  });
+
+  it('treats a rival without a total as zero', () => {
+    expect(pickTarget('leader', ['e', 'b'], standings)).toBe('b');
+  });
+
+  it('keeps a chosen rival and falls back to the leader when they are gone', () => {
+    expect(pickTarget('b', ['b', 'c'], standings)).toBe('b');
+    expect(pickTarget('x', ['b', 'c'], standings)).toBe('c');
+  });
+
+  it('picks at random when asked', () => {
+    expect(pickTarget('random', ['b', 'c', 'd'], standings, () => 0.5)).toBe('c');
+    expect(pickTarget('random', ['b', 'c', 'd'], standings, () => 0.99)).toBe('d');
+  });
+
+  it('has no target without rivals', () => {
+    expect(pickTarget('leader', [], standings)).toBeNull();
+  });
+});
@@ -0,0 +1,88 @@
+// --- Player Stats & Rating ---
+// 試合ごとの結果を累計の戦績にまとめ、Elo レーティングを計算する。
+// 3 人以上の試合は順位から総当たりの対戦として扱い、変動幅を相手の人数で割る。チーム戦はチーム同士の 1 対 1 として扱う。
+
+export const DEFAULT_RATING = 1200;
+export const K_FACTOR = 32;
+
+export const EMPTY_STATS = {
+  rating: DEFAULT_RATING,
+  matches: 0,
+  wins: 0,
+  losses: 0,
+  draws: 0,
+  bestRound: 0,
+  highestCombo: 0,
+  attacksLanded: 0,
+};
+
+// ranks: { [uid]: 順位 }。単独 1 位が 'win'、1 位が並んだら 'draw'、それ以外は 'loss'
+export const placeResult = (ranks, uid) => {
+  if (ranks[uid] !== 1) return 'loss';
+  return Object.keys(ranks).some(other => other !== uid && ranks[other] === 1) ? 'draw' : 'win';
+};
+
+const RESULT_SCORE = { win: 1, draw: 0.5, loss: 0 };
+
+export const expectedScore = (rating, opponentRating) => 1 / (1 + 10 ** ((opponentRating - rating) / 400));
+
+// a から見た結果で両者の新しいレーティングを返す（合計は変わらない）
+export const nextRatings = (a, b, result) => {
+  const delta = Math.round(K_FACTOR * (RESULT_SCORE[result] - expectedScore(a, b)));
+  return [a + delta, b - delta];
+};
+
+// ratings: { [uid]: 試合前のレーティング }、ranks: { [uid]: 順位 } → { [uid]: 新しいレーティング }
+export const matchRatings = (ratings, ranks) => {
+  const uids = Object.keys(ratings);
+  const scale = 1 / Math.max(1, uids.length - 1);
+  return Object.fromEntries(uids.map(uid => {
+    const delta = uids.filter(other => other !== uid).reduce((sum, other) => {
+      const result = ranks[uid] < ranks[other] ? 'win' : ranks[uid] > ranks[other] ? 'loss' : 'draw';
+      return sum + nextRatings(ratings[uid], ratings[other], result)[0] - ratings[uid];
+    }, 0);
+    return [uid, ratings[uid] + Math.round(delta * scale)];
+  }));
+};
+
+// チーム戦: 両チームの平均レーティング同士の対戦として計算し、同じ変動をメンバー全員に適用する
+// teams: { [uid]: チーム番号 }
+export const teamMatchRatings = (ratings, ranks, teams) => {
+  const uids = Object.keys(ratings);
+  const average = (team) => {
+    const members = uids.filter(uid => teams[uid] === team);
+    return members.reduce((sum, uid) => sum + ratings[uid], 0) / members.length;
+  };
+  return Object.fromEntries(uids.map(uid => {
+    const rival = uids.find(other => teams[other] !== teams[uid]);
+    if (!rival) return [uid, ratings[uid]];
+    const result = ranks[uid] < ranks[rival] ? 'win' : ranks[uid] > ranks[rival] ? 'loss' : 'draw';
+    const own = average(teams[uid]);
+    return [uid, ratings[uid] + nextRatings(own, average(teams[rival]), result)[0] - own];
+  }));
+};
+
+// summary: { result, roundScores, maxCombo, attacksLanded }
+export const addMatch = (stats, summary, rating) => {
+  const base = { ...EMPTY_STATS, ...stats };
+  return {
+    ...base,
+    rating,
+    matches: base.matches + 1,
+    wins: base.wins + (summary.result === 'win' ? 1 : 0),
+    losses: base.losses + (summary.result === 'loss' ? 1 : 0),
+    draws: base.draws + (summary.result === 'draw' ? 1 : 0),
+    bestRound: Math.max(base.bestRound, ...summary.roundScores),
+    highestCombo: Math.max(base.highestCombo, summary.maxCombo),
+    attacksLanded: base.attacksLanded + summary.attacksLanded,
+  };
+};
+
+// ラウンド中のイベントから uid の攻撃が実際に効いた回数を数える
+// （シールドで防がれた分と、コンボで跳ね返された分を除く）
+export const attacksLanded = (events, uid) => {
+  const sent = events.filter(e => e.type === 'attack' && e.from === uid).length;
+  const reflected = events.filter(e => e.type === 'attack' && e.reflected && e.target === uid).length;
+  const blocked = events.filter(e => e.type === 'defense' && e.outcome === 'blocked' && e.target === uid).length;
+  return Math.max(0, sent - reflected - blocked);
+};
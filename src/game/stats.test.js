@@ -0,0 +1,151 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_RATING,
+  K_FACTOR,
+  EMPTY_STATS,
+  placeResult,
+  expectedScore,
+  nextRatings,
+  matchRatings,
+  teamMatchRatings,
+  addMatch,
+  attacksLanded,
+} from './stats.js';
+
+const total = (ratings) => Object.values(ratings).reduce((sum, r) => sum + r, 0);
+
+describe('placeResult', () => {
+  it('is a win only for a sole first place', () => {
+    expect(placeResult({ a: 1, b: 2 }, 'a')).toBe('win');
+    expect(placeResult({ a: 1, b: 2 }, 'b')).toBe('loss');
+  });
+
+  it('is a draw when first place is shared', () => {
+    const ranks = { a: 1, b: 1, c: 3 };
+    expect(placeResult(ranks, 'a')).toBe('draw');
+    expect(placeResult(ranks, 'b')).toBe('draw');
+    expect(placeResult(ranks, 'c')).toBe('loss');
+  });
+});
+
+describe('nextRatings', () => {
+  it('moves half of K between equal ratings and keeps the sum', () => {
+    expect(expectedScore(1200, 1200)).toBe(0.5);
+    expect(nextRatings(1200, 1200, 'win')).toEqual([1200 + K_FACTOR / 2, 1200 - K_FACTOR / 2]);
+    expect(nextRatings(1200, 1200, 'loss')).toEqual([1200 - K_FACTOR / 2, 1200 + K_FACTOR / 2]);
+  });
+
+  it('leaves equal ratings alone on a draw and pulls unequal ones together', () => {
+    expect(nextRatings(1200, 1200, 'draw')).toEqual([1200, 1200]);
+    const [high, low] = nextRatings(1400, 1200, 'draw');
+    expect(high).toBeLessThan(1400);
+    expect(low).toBeGreaterThan(1200);
+    expect(high + low).toBe(2600);
+  });
+
+  it('rewards an upset more than an expected win', () => {
+    const upset = nextRatings(1200, 1400, 'win')[0] - 1200;
+    const expected = nextRatings(1400, 1200, 'win')[0] - 1400;
+    expect(upset).toBeGreaterThan(expected);
+  });
+});
+
+describe('matchRatings', () => {
+  it('matches a plain Elo update for two players', () => {
+    const ratings = { a: 1250, b: 1180 };
+    const [a, b] = nextRatings(1250, 1180, 'win');
+    expect(matchRatings(ratings, { a: 1, b: 2 })).toEqual({ a, b });
+  });
+
+  it('treats a tied rank as a draw', () => {
+    expect(matchRatings({ a: 1200, b: 1200 }, { a: 1, b: 1 })).toEqual({ a: 1200, b: 1200 });
+  });
+
+  it('scales a multi-player match by the number of opponents', () => {
+    const ratings = { a: 1200, b: 1200, c: 1200 };
+    const next = matchRatings(ratings, { a: 1, b: 2, c: 3 });
+    expect(next.a).toBe(1200 + K_FACTOR / 2);
+    expect(next.b).toBe(1200);
+    expect(next.c).toBe(1200 - K_FACTOR / 2);
+    expect(total(next)).toBe(total(ratings));
+  });
+});
+
+describe('teamMatchRatings', () => {
+  it('rates the teams on their average and gives every member the same change', () => {
+    const ratings = { a: 1300, b: 1100, c: 1250, d: 1150 };
+    const teams = { a: 0, b: 0, c: 1, d: 1 };
+    const next = teamMatchRatings(ratings, { a: 1, b: 1, c: 2, d: 2 }, teams);
+    const delta = nextRatings(1200, 1200, 'win')[0] - 1200;
+    expect(next).toEqual({ a: 1300 + delta, b: 1100 + delta, c: 1250 - delta, d: 1150 - delta });
+  });
+
+  it('favours the team with the higher average', () => {
+    const ratings = { a: 1400, b: 1400, c: 1200, d: 1200 };
+    const teams = { a: 0, b: 0, c: 1, d: 1 };
+    const next = teamMatchRatings(ratings, { a: 1, b: 1, c: 2, d: 2 }, teams);
+    const delta = nextRatings(1400, 1200, 'win')[0] - 1400;
+    expect(delta).toBeLessThan(K_FACTOR / 2);
+    expect(next.a - 1400).toBe(delta);
+    expect(next.c - 1200).toBe(-delta);
+  });
+
+  it('keeps the ratings of a team with no opponents', () => {
+    const ratings = { a: 1300, b: 1100 };
+    expect(teamMatchRatings(ratings, { a: 1, b: 1 }, { a: 0, b: 0 })).toEqual(ratings);
+  });
+});
+
+describe('addMatch', () => {
+  const summary = { result: 'win', roundScores: [120, 340, 90], maxCombo: 5, attacksLanded: 2 };
+
+  it('starts a missing profile from the empty stats', () => {
+    expect(addMatch(undefined, summary, 1216)).toEqual({
+      ...EMPTY_STATS,
+      rating: 1216,
+      matches: 1,
+      wins: 1,
+      bestRound: 340,
+      highestCombo: 5,
+      attacksLanded: 2,
+    });
+  });
+
+  it('fills fields missing from an older profile', () => {
+    const next = addMatch({ rating: 1300, matches: 4, wins: 2 }, { ...summary, result: 'draw' }, 1300);
+    expect(next).toMatchObject({ matches: 5, wins: 2, draws: 1, losses: 0, highestCombo: 5 });
+  });
+
+  it('adds to the totals and keeps the bests', () => {
+    const stats = { ...EMPTY_STATS, matches: 3, wins: 1, losses: 2, bestRound: 500, highestCombo: 8, attacksLanded: 4 };
+    const next = addMatch(stats, { ...summary, result: 'loss' }, DEFAULT_RATING - 10);
+    expect(next).toMatchObject({
+      rating: DEFAULT_RATING - 10,
+      matches: 4,
+      wins: 1,
+      losses: 3,
+      bestRound: 500,
+      highestCombo: 8,
+      attacksLanded: 6,
+    });
+  });
+});
+
+describe('attacksLanded', () => {
+  it('counts attacks that were neither blocked nor reflected', () => {
+    const events = [
+      { type: 'attack', from: 'a', target: 'b' },
+      { type: 'attack', from: 'a', target: 'b' },
+      { type: 'attack', from: 'a', target: 'b' },
+      { type: 'defense', from: 'b', target: 'a', outcome: 'blocked' },
+      { type: 'attack', from: 'b', target: 'a', reflected: true },
+    ];
+    expect(attacksLanded(events, 'a')).toBe(1);
+  });
+
+  it('never goes below zero', () => {
+    const events = [{ type: 'defense', from: 'b', target: 'a', outcome: 'blocked' }];
+    expect(attacksLanded(events, 'a')).toBe(0);
+    expect(attacksLanded([], 'a')).toBe(0);
+  });
+});
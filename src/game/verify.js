@@ -0,0 +1,141 @@
+// --- Round Verifier ---
+// シードと手順ログから得点を再計算し、クライアントが申告したスコアと照合する。
+// ホストのクライアントと scripts/verify-round.js（Functions エミュレータの代替）の両方から使う。
+
+import {
+  dealFromSeed,
+  applyMove,
+  scoreFor,
+  isFoundationMove,
+  isCleared,
+  nextCombo,
+  comboMultiplier,
+} from './engine.js';
+import { normalizeRules, variantOf, clearBonus, UNDO_DEPTH } from './rules.js';
+
+// ログに残すのは手の入力だけ（結果は再生時に再計算する）
+// 盤面の手のほか undo / hint / clear と、チャージを使った・受け取ったことを示す charge を記録する
+export const toLogEntry = (move, seq, at) => {
+  const entry = { seq, at, type: move.type };
+  if (move.type === 'move') {
+    entry.from = { pile: move.from.pile, index: move.from.index, cardIndex: move.from.cardIndex };
+    entry.to = { pile: move.to.pile, index: move.to.index };
+  }
+  if (move.type === 'bury') entry.index = move.index;
+  return entry;
+};
+
+// 端末の時計のずれと、ラウンド終了がルームに反映されるまでの遅れとして許す幅
+export const CLOCK_TOLERANCE_MS = 5000;
+
+// at はクライアントが書く値なので、seq 順に減らず、ラウンド開始より前でないことを確かめる
+// （コンボと完成ボーナスは at から計算するため）。startedAt が不明なら開始時刻との比較はしない
+const isTimely = (entry, prev, startedAt) => {
+  if (typeof entry.at !== 'number') return false;
+  if (prev && (entry.seq <= prev.seq || entry.at < prev.at)) return false;
+  return startedAt == null || entry.at >= startedAt - CLOCK_TOLERANCE_MS;
+};
+
+// 制限時間を過ぎてからの手（ラウンド終了の反映が遅れた間に打たれたもの）は数えない
+const isLate = (entry, rules, startedAt) => (
+  startedAt != null && entry.at > startedAt + rules.durationSec * 1000 + CLOCK_TOLERANCE_MS
+);
+
+// 各手の適用後の盤面と累計得点を順に返す（リプレイ表示にも使う）
+// startedAt はラウンド開始時刻で、完成ボーナスの残り時間と at の範囲の確認に使う
+export const replayFrames = (seed, moves = [], rules, startedAt = null) => {
+  const normalized = normalizeRules(rules);
+  const { scoring, comboWindowMs, undoPenalty, hintPenalty } = normalized;
+  let state = dealFromSeed(seed, variantOf(normalized));
+  let score = 0;
+  let combo = 0;
+  let maxCombo = 0;
+  let lastAt = 0;
+  let cleared = false;
+  const frames = [{ seq: -1, at: null, state, score }];
+  // クライアントの undo スタックと同じく直近 UNDO_DEPTH 手までを保持する
+  let history = [];
+
+  const ordered = [...moves].sort((a, b) => a.seq - b.seq);
+  for (let i = 0; i < ordered.length; i++) {
+    const entry = ordered[i];
+    if (!isTimely(entry, ordered[i - 1], startedAt)) return { ok: false, frames, failedAt: entry.seq, maxCombo };
+    if (isLate(entry, normalized, startedAt)) break;
+
+    if (entry.type === 'undo') {
+      const prev = history.pop();
+      if (!prev) return { ok: false, frames, failedAt: entry.seq, maxCombo };
+      state = prev.state;
+      score = prev.score + undoPenalty;
+      // undo の減点も残りの履歴に反映する（続けて戻しても減点は消えない）
+      history = history.map(h => ({ ...h, score: h.score + undoPenalty }));
+      combo = 0;
+      frames.push({ seq: entry.seq, at: entry.at, state, score });
+      continue;
+    }
+
+    // ヒントの減点は undo しても戻らない
+    if (entry.type === 'hint') {
+      score += hintPenalty;
+      history = history.map(h => ({ ...h, score: h.score + hintPenalty }));
+      frames.push({ seq: entry.seq, at: entry.at, state, score });
+      continue;
+    }
+
+    // 攻撃・シールド・チャージの受け渡しより前の手には戻れない
+    if (entry.type === 'charge') {
+      history = [];
+      frames.push({ seq: entry.seq, at: entry.at, state, score });
+      continue;
+    }
+
+    // 完成ボーナスは 1 ラウンドに 1 回だけ。完成後は undo で崩して完成させ直すこともできない
+    if (entry.type === 'clear') {
+      if (!isCleared(state) || cleared) return { ok: false, frames, failedAt: entry.seq, maxCombo };
+      cleared = true;
+      history = [];
+      score += clearBonus(normalized, startedAt, entry.at);
+      frames.push({ seq: entry.seq, at: entry.at, state, score });
+      continue;
+    }
+
+    const next = applyMove(state, entry);
+    if (!next) return { ok: false, frames, failedAt: entry.seq, maxCombo };
+
+    // 攻撃で埋められたカードは取り消せない
+    history = entry.type === 'bury' ? [] : [...history, { state, score }].slice(-UNDO_DEPTH);
+
+    let points = scoreFor(next.lastMove, scoring);
+    if (isFoundationMove(next.lastMove)) {
+      combo = nextCombo(combo, lastAt, entry.at, comboWindowMs);
+      maxCombo = Math.max(maxCombo, combo);
+      lastAt = entry.at;
+      points = Math.floor(points * comboMultiplier(combo));
+    }
+    score += points;
+    state = next;
+    frames.push({ seq: entry.seq, at: entry.at, state, score });
+  }
+  return { ok: true, frames, failedAt: null, maxCombo };
+};
+
+export const replayRound = (seed, moves = [], rules, startedAt = null) => {
+  const { ok, frames, failedAt, maxCombo } = replayFrames(seed, moves, rules, startedAt);
+  const last = frames[frames.length - 1];
+  return { ok, score: last.score, state: last.state, failedAt, maxCombo };
+};
+
+// status: 'verified' | 'mismatch' | 'illegal'
+export const verifyRound = ({ seed, moves, claimedScore, rules, startedAt }) => {
+  const result = replayRound(seed, moves, rules, startedAt);
+  if (!result.ok) {
+    return { status: 'illegal', claimed: claimedScore, verified: 0, failedAt: result.failedAt, maxCombo: 0 };
+  }
+  return {
+    status: result.score === claimedScore ? 'verified' : 'mismatch',
+    claimed: claimedScore,
+    verified: result.score,
+    failedAt: null,
+    maxCombo: result.maxCombo,
+  };
+};
@@ -0,0 +1,165 @@
+import { describe, it, expect } from 'vitest';
+import { dealFromSeed, applyMove, findHint, isCleared } from './engine.js';
+import { DEFAULT_RULES } from './rules.js';
+import { toLogEntry, replayRound, verifyRound, CLOCK_TOLERANCE_MS } from './verify.js';
+
+const SEED = 7;
+const CLEARABLE_SEED = 12; // ヒントの手だけで完成まで行ける配り
+const STARTED_AT = 1_700_000_000_000;
+
+// ヒントの手を順に打ったログ（1 手ごとに 1 秒あける）
+const greedyLog = (steps = 40, seed = SEED) => {
+  let state = dealFromSeed(seed);
+  const moves = [];
+  for (let seq = 0; seq < steps; seq++) {
+    const move = findHint(state);
+    if (!move) break;
+    state = applyMove(state, move);
+    moves.push(toLogEntry(move, seq, STARTED_AT + (seq + 1) * 1000));
+  }
+  if (isCleared(state)) moves.push({ seq: moves.length, at: STARTED_AT + (moves.length + 1) * 1000, type: 'clear' });
+  return moves;
+};
+
+const verify = (moves, startedAt = STARTED_AT, seed = SEED) => {
+  const { score } = replayRound(seed, moves, DEFAULT_RULES, startedAt);
+  return verifyRound({ seed, moves, claimedScore: score, rules: DEFAULT_RULES, startedAt });
+};
+
+describe('verifyRound', () => {
+  it('verifies an honest log', () => {
+    const moves = greedyLog();
+    expect(moves.length).toBeGreaterThan(10);
+    expect(verify(moves).status).toBe('verified');
+  });
+
+  it('flags a claimed score that does not match the replay', () => {
+    const moves = greedyLog();
+    const { score } = replayRound(SEED, moves, DEFAULT_RULES, STARTED_AT);
+    const result = verifyRound({ seed: SEED, moves, claimedScore: score + 100, rules: DEFAULT_RULES, startedAt: STARTED_AT });
+    expect(result).toMatchObject({ status: 'mismatch', verified: score });
+  });
+
+  it('rejects a timestamp that goes backwards', () => {
+    const moves = greedyLog();
+    moves[5] = { ...moves[5], at: moves[4].at - 1 };
+    expect(verify(moves)).toMatchObject({ status: 'illegal', failedAt: moves[5].seq });
+  });
+
+  it('rejects timestamps that disagree with the seq order', () => {
+    const moves = greedyLog();
+    [moves[3].at, moves[4].at] = [moves[4].at, moves[3].at];
+    expect(verify(moves).status).toBe('illegal');
+  });
+
+  it('rejects a repeated seq', () => {
+    const moves = greedyLog();
+    moves[6] = { ...moves[6], seq: moves[5].seq };
+    expect(verify(moves).status).toBe('illegal');
+  });
+
+  it('rejects timestamps before the round started', () => {
+    const early = greedyLog();
+    early[0] = { ...early[0], at: STARTED_AT - CLOCK_TOLERANCE_MS - 1 };
+    expect(verify(early).status).toBe('illegal');
+  });
+
+  it('stops reading at the first move made after time ran out', () => {
+    const moves = greedyLog();
+    const cut = moves.length - 3;
+    const deadline = STARTED_AT + DEFAULT_RULES.durationSec * 1000 + CLOCK_TOLERANCE_MS;
+    const late = moves.map((m, i) => (i < cut ? m : { ...m, at: deadline + i }));
+    const onTime = replayRound(SEED, moves.slice(0, cut), DEFAULT_RULES, STARTED_AT);
+
+    const result = replayRound(SEED, late, DEFAULT_RULES, STARTED_AT);
+    expect(result.ok).toBe(true);
+    expect(result.score).toBe(onTime.score);
+    expect(verifyRound({ seed: SEED, moves: late, claimedScore: onTime.score, rules: DEFAULT_RULES, startedAt: STARTED_AT }).status).toBe('verified');
+  });
+
+  it('rejects a log whose timestamps were all rewritten to one value', () => {
+    const moves = greedyLog().map(m => ({ ...m, at: 0 }));
+    expect(verify(moves).status).toBe('illegal');
+  });
+
+  it('only checks the order when the round start is unknown', () => {
+    const moves = greedyLog().map(m => ({ ...m, at: m.at - STARTED_AT }));
+    expect(verify(moves, null).status).toBe('verified');
+  });
+});
+
+describe('undo', () => {
+  it('steps back one move with the undo penalty', () => {
+    const moves = greedyLog(5);
+    const before = replayRound(SEED, moves.slice(0, 4), DEFAULT_RULES, STARTED_AT);
+    const undone = [...moves, { seq: 5, at: STARTED_AT + 6000, type: 'undo' }];
+    const result = replayRound(SEED, undone, DEFAULT_RULES, STARTED_AT);
+    expect(result.ok).toBe(true);
+    expect(result.state).toEqual(before.state);
+    expect(result.score).toBe(before.score + DEFAULT_RULES.undoPenalty);
+  });
+
+  it('keeps the penalty of every undo in a chain', () => {
+    const moves = greedyLog(4);
+    const { undoPenalty } = DEFAULT_RULES;
+    const scoreAfter = n => replayRound(SEED, moves.slice(0, n), DEFAULT_RULES, STARTED_AT).score;
+    const undos = [0, 1, 2].map(i => ({ seq: 4 + i, at: STARTED_AT + (6 + i) * 1000, type: 'undo' }));
+    for (let n = 1; n <= 3; n++) {
+      const result = replayRound(SEED, [...moves, ...undos.slice(0, n)], DEFAULT_RULES, STARTED_AT);
+      expect(result.ok).toBe(true);
+      expect(result.score).toBe(scoreAfter(4 - n) + n * undoPenalty);
+    }
+  });
+
+  it('cannot undo past a charge spent on an attack', () => {
+    const moves = [
+      ...greedyLog(5),
+      { seq: 5, at: STARTED_AT + 6000, type: 'charge' },
+      { seq: 6, at: STARTED_AT + 7000, type: 'undo' },
+    ];
+    expect(verify(moves)).toMatchObject({ status: 'illegal', failedAt: 6 });
+  });
+
+  it('can undo moves made after the charge was spent', () => {
+    const log = greedyLog(6);
+    const moves = [
+      ...log.slice(0, 5),
+      { seq: 5, at: STARTED_AT + 5500, type: 'charge' },
+      { ...log[5], seq: 6 },
+      { seq: 7, at: STARTED_AT + 7000, type: 'undo' },
+    ];
+    expect(verify(moves).status).toBe('verified');
+  });
+});
+
+describe('clear', () => {
+  const solved = () => greedyLog(400, CLEARABLE_SEED);
+  const nextEntry = (moves, extra) => ({ seq: moves.length, at: moves[moves.length - 1].at + 1000, ...extra });
+
+  it('adds the time bonus once for a cleared board', () => {
+    const moves = solved();
+    expect(moves[moves.length - 1].type).toBe('clear');
+    const result = replayRound(CLEARABLE_SEED, moves, DEFAULT_RULES, STARTED_AT);
+    const before = replayRound(CLEARABLE_SEED, moves.slice(0, -1), DEFAULT_RULES, STARTED_AT);
+    expect(result.state).toEqual(before.state);
+    expect(result.score).toBeGreaterThan(before.score);
+    expect(verify(moves, STARTED_AT, CLEARABLE_SEED).status).toBe('verified');
+  });
+
+  it('rejects a repeated clear', () => {
+    const moves = solved();
+    const repeated = [...moves, nextEntry(moves, { type: 'clear' })];
+    expect(verify(repeated, STARTED_AT, CLEARABLE_SEED)).toMatchObject({ status: 'illegal', failedAt: moves.length });
+  });
+
+  it('rejects undoing a cleared board to clear it again', () => {
+    const moves = solved();
+    const undone = [...moves, nextEntry(moves, { type: 'undo' })];
+    expect(verify(undone, STARTED_AT, CLEARABLE_SEED)).toMatchObject({ status: 'illegal', failedAt: moves.length });
+  });
+
+  it('rejects a clear before the board is complete', () => {
+    const moves = greedyLog(10);
+    expect(verify([...moves, nextEntry(moves, { type: 'clear' })]).status).toBe('illegal');
+  });
+});
@@ -0,0 +1,72 @@
+import { useState, useRef } from 'react';
+
+const DRAG_THRESHOLD_PX = 6;
+const SNAP_BACK_MS = 150;
+
+// マウス・タッチ共通のポインタドラッグ。
+// 一定距離動くまではドラッグを開始しないので、タップ（onClick）の操作はそのまま動く。
+// ドロップ先は data-drop-pile / data-drop-index を持つ要素で、onDrop が false を返すと元の位置に戻る。
+export const useCardDrag = ({ canDrag, onDragStart, onDrop }) => {
+  const [drag, setDrag] = useState(null); // { source, rect, dx, dy, returning }
+  const pendingRef = useRef(null);
+  const suppressClickRef = useRef(false);
+
+  const bindCard = (source) => ({
+    onPointerDown: (e) => {
+      if (e.button !== 0 || !canDrag(source)) return;
+      pendingRef.current = {
+        source,
+        startX: e.clientX,
+        startY: e.clientY,
+        rect: e.currentTarget.getBoundingClientRect(),
+        active: false,
+      };
+      e.currentTarget.setPointerCapture?.(e.pointerId);
+    },
+    onPointerMove: (e) => {
+      const pending = pendingRef.current;
+      if (!pending) return;
+      const dx = e.clientX - pending.startX;
+      const dy = e.clientY - pending.startY;
+      if (!pending.active) {
+        if (Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+        pending.active = true;
+        onDragStart?.(pending.source);
+      }
+      setDrag({ source: pending.source, rect: pending.rect, dx, dy, returning: false });
+    },
+    onPointerUp: (e) => {
+      const pending = pendingRef.current;
+      pendingRef.current = null;
+      if (!pending?.active) return;
+
+      // ドラッグ後に発生する click を 1 回だけ握りつぶす
+      suppressClickRef.current = true;
+      setTimeout(() => { suppressClickRef.current = false; }, 0);
+
+      const dropEl = document.elementFromPoint(e.clientX, e.clientY)?.closest('[data-drop-pile]');
+      const target = dropEl
+        ? { pileType: dropEl.dataset.dropPile, pileIndex: Number(dropEl.dataset.dropIndex) }
+        : null;
+      if (target && onDrop(pending.source, target)) {
+        setDrag(null);
+        return;
+      }
+      setDrag(prev => prev && { ...prev, dx: 0, dy: 0, returning: true });
+      setTimeout(() => setDrag(null), SNAP_BACK_MS);
+    },
+    onPointerCancel: () => {
+      pendingRef.current = null;
+      setDrag(null);
+    },
+  });
+
+  const consumeClick = (e) => {
+    if (!suppressClickRef.current) return;
+    suppressClickRef.current = false;
+    e.stopPropagation();
+    e.preventDefault();
+  };
+
+  return { drag, bindCard, consumeClick };
+};
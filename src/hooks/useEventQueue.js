@@ -0,0 +1,27 @@
+import { useState, useEffect, useCallback } from 'react';
+
+// ルームのイベントを 1 レンダーに 1 件ずつ処理するキュー。
+// 1 回の snapshot で複数届いても、次のイベントは前のイベントで更新された state を見て処理される
+// （同じレンダーでまとめて処理すると、盤面やチャージが古い値のまま上書きされる）。
+// handlerRef.current は毎レンダー最新のハンドラに差し替えておく。
+export const useEventQueue = (handlerRef) => {
+  const [queue, setQueue] = useState([]);
+
+  // 先頭の 1 件を処理して取り除く。残りは再レンダー後（最新のハンドラ）に回る
+  useEffect(() => {
+    if (queue.length === 0) return;
+    const timer = setTimeout(() => {
+      handlerRef.current?.(queue[0]);
+      setQueue(prev => prev.slice(1));
+    }, 0);
+    return () => clearTimeout(timer);
+  }, [queue, handlerRef]);
+
+  const enqueue = useCallback((events) => {
+    if (events.length > 0) setQueue(prev => [...prev, ...events]);
+  }, []);
+
+  const clear = useCallback(() => setQueue([]), []);
+
+  return { enqueue, clear };
+};
@@ -0,0 +1,72 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { useState, useRef, useEffect, act } from 'react';
+import { createRoot } from 'react-dom/client';
+import { useEventQueue } from './useEventQueue.js';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// App と同じく、ハンドラはレンダー時点の state を閉じ込めて setState(古い値 + 差分) する
+const Harness = ({ onRender }) => {
+  const [charge, setCharge] = useState(0);
+  const [log, setLog] = useState([]);
+  const handlerRef = useRef(null);
+  useEffect(() => {
+    handlerRef.current = (event) => {
+      setCharge(charge + event.amount);
+      setLog([...log, event.seq]);
+    };
+  });
+  const queue = useEventQueue(handlerRef);
+  useEffect(() => onRender({ charge, log, ...queue }));
+  return null;
+};
+
+let root;
+let api;
+const mount = () => {
+  root = createRoot(document.createElement('div'));
+  act(() => root.render(<Harness onRender={value => { api = value; }} />));
+};
+// キューは 1 件ごとに再レンダーを挟むので、タイマーが尽きるまで回す
+const flush = () => {
+  while (vi.getTimerCount() > 0) act(() => vi.runOnlyPendingTimers());
+};
+
+beforeEach(() => vi.useFakeTimers());
+afterEach(() => {
+  act(() => root.unmount());
+  vi.useRealTimers();
+});
+
+describe('useEventQueue', () => {
+  it('handles two attacks from one snapshot against the state left by the first', () => {
+    mount();
+    act(() => api.enqueue([{ seq: 1, amount: 2 }, { seq: 2, amount: 3 }]));
+    flush();
+    expect(api.charge).toBe(5);
+    expect(api.log).toEqual([1, 2]);
+  });
+
+  it('keeps the order across snapshots', () => {
+    mount();
+    act(() => {
+      api.enqueue([{ seq: 1, amount: 1 }]);
+      api.enqueue([{ seq: 2, amount: 1 }, { seq: 3, amount: 1 }]);
+    });
+    flush();
+    expect(api.charge).toBe(3);
+    expect(api.log).toEqual([1, 2, 3]);
+  });
+
+  it('drops pending events on clear', () => {
+    mount();
+    act(() => {
+      api.enqueue([{ seq: 1, amount: 4 }]);
+      api.clear();
+    });
+    flush();
+    expect(api.charge).toBe(0);
+    expect(api.log).toEqual([]);
+  });
+});
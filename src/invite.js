@@ -0,0 +1,40 @@
+// --- Invite Links ---
+// ?room=ABCDE&key=K7QX... の形でルーム ID と合言葉を URL に載せる。開いた側は認証後に自動で参加する。
+
+const ROOM_PARAM = 'room';
+const KEY_PARAM = 'key';
+
+// 合言葉はリンクで渡すだけなので、総当たりで当てられない長さにする（32 文字 × 12 桁 = 60 ビット）
+const PASSCODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const PASSCODE_LENGTH = 12;
+
+export const newPasscode = () => (
+  Array.from(crypto.getRandomValues(new Uint32Array(PASSCODE_LENGTH)), n => PASSCODE_CHARS[n % PASSCODE_CHARS.length]).join('')
+);
+
+export const isPasscode = (value) => (
+  typeof value === 'string' && value.length === PASSCODE_LENGTH && [...value].every(c => PASSCODE_CHARS.includes(c))
+);
+
+export const inviteUrl = (roomId, passcode) => {
+  const url = new URL(window.location.pathname, window.location.origin);
+  url.searchParams.set(ROOM_PARAM, roomId);
+  if (passcode) url.searchParams.set(KEY_PARAM, passcode);
+  return url.toString();
+};
+
+// 招待リンクで開かれていれば { roomId, passcode }
+export const readInvite = () => {
+  const params = new URLSearchParams(window.location.search);
+  const roomId = (params.get(ROOM_PARAM) || '').trim().toUpperCase();
+  if (!roomId) return null;
+  return { roomId, passcode: params.get(KEY_PARAM) || null };
+};
+
+// リロードで同じ招待を何度も使わないよう、URL から取り除く
+export const clearInvite = () => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete(ROOM_PARAM);
+  url.searchParams.delete(KEY_PARAM);
+  window.history.replaceState(null, '', url.toString());
+};
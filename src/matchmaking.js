@@ -0,0 +1,32 @@
+// --- Quick Match ---
+// キューに並んだプレイヤー同士を組ませる。相手選びだけを純粋関数にしておき、実際の確保はトランザクションで行う。
+// エントリ: { uid, rating, preferSimilar, queuedAt, beat, roomId }（queuedAt / beat は各クライアントの時刻）
+
+export const QUEUE_BEAT_MS = 5000;
+export const QUEUE_STALE_MS = 20000; // ハートビートがこれより古いエントリは離脱したとみなす
+export const QUEUE_SCAN_LIMIT = 30;
+
+// 似たレーティングを希望する場合の許容差。待つほど広がる
+const RATING_WINDOW = 100;
+const RATING_WINDOW_STEP = 50;
+const RATING_WINDOW_INTERVAL_MS = 10000;
+
+export const ratingWindow = (waitedMs) => (
+  RATING_WINDOW + Math.floor(Math.max(0, waitedMs) / RATING_WINDOW_INTERVAL_MS) * RATING_WINDOW_STEP
+);
+
+// どちらかが似たレーティングを希望していれば、二人のうち広い方の許容差に収まる相手だけを選ぶ
+const compatible = (self, other, now) => {
+  if (!self.preferSimilar && !other.preferSimilar) return true;
+  const window = Math.max(ratingWindow(now - self.queuedAt), ratingWindow(now - other.queuedAt));
+  return Math.abs(self.rating - other.rating) <= window;
+};
+
+// candidates は queuedAt の古い順。レーティングの近い相手を優先し、同じなら長く待っている方
+export const pickOpponent = (self, candidates, now) => {
+  const waiting = candidates.filter(c => (
+    c.uid !== self.uid && !c.roomId && now - c.beat < QUEUE_STALE_MS && compatible(self, c, now)
+  ));
+  if (!self.preferSimilar) return waiting[0] || null;
+  return [...waiting].sort((a, b) => Math.abs(a.rating - self.rating) - Math.abs(b.rating - self.rating))[0] || null;
+};
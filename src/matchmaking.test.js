@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { ratingWindow, pickOpponent, QUEUE_STALE_MS } from './matchmaking.js';
+
+const NOW = 1_700_000_000_000;
+
+// queuedAt は待ち始めてからの経過ミリ秒で指定する
+const entry = (uid, rating, { waited = 0, preferSimilar = false, beat = NOW, roomId = null } = {}) => ({
+  uid, rating, preferSimilar, queuedAt: NOW - waited, beat, roomId,
+});
+
+describe('ratingWindow', () => {
+  it('starts narrow and widens every 10 seconds of waiting', () => {
+    expect(ratingWindow(0)).toBe(100);
+    expect(ratingWindow(9_999)).toBe(100);
+    expect(ratingWindow(10_000)).toBe(150);
+    expect(ratingWindow(35_000)).toBe(250);
+  });
+
+  it('treats a clock that runs behind as no wait', () => {
+    expect(ratingWindow(-5_000)).toBe(100);
+  });
+});
+
+describe('pickOpponent', () => {
+  it('takes whoever has waited longest when nobody asks for a similar rating', () => {
+    const self = entry('me', 1200);
+    const candidates = [entry('old', 1800, { waited: 30_000 }), entry('new', 1210, { waited: 1_000 })];
+    expect(pickOpponent(self, candidates, NOW).uid).toBe('old');
+  });
+
+  it('prefers the closest rating and breaks ties by queue order', () => {
+    const self = entry('me', 1200, { preferSimilar: true });
+    const candidates = [
+      entry('first', 1260, { waited: 20_000 }),
+      entry('second', 1140, { waited: 10_000 }),
+      entry('close', 1230, { waited: 5_000 }),
+    ];
+    expect(pickOpponent(self, candidates, NOW).uid).toBe('close');
+    expect(pickOpponent(self, candidates.slice(0, 2), NOW).uid).toBe('first');
+  });
+
+  it('widens the window the longer either player has waited', () => {
+    const far = entry('far', 1380);
+    const self = (waited) => entry('me', 1200, { preferSimilar: true, waited });
+    expect(pickOpponent(self(0), [far], NOW)).toBeNull();
+    expect(pickOpponent(self(40_000), [far], NOW).uid).toBe('far');
+    // 相手側が長く待っていても広い方の許容差を使う
+    expect(pickOpponent(self(0), [entry('far', 1380, { waited: 40_000 })], NOW).uid).toBe('far');
+  });
+
+  it('respects an opponent who asked for a similar rating', () => {
+    const self = entry('me', 1200);
+    expect(pickOpponent(self, [entry('picky', 1500, { preferSimilar: true })], NOW)).toBeNull();
+  });
+
+  it('skips itself, matched entries and stale heartbeats', () => {
+    const self = entry('me', 1200);
+    const candidates = [
+      self,
+      entry('matched', 1200, { roomId: 'ABCDE' }),
+      entry('gone', 1200, { beat: NOW - QUEUE_STALE_MS }),
+    ];
+    expect(pickOpponent(self, candidates, NOW)).toBeNull();
+    expect(pickOpponent(self, [], NOW)).toBeNull();
+  });
+});
@@ -0,0 +1,24 @@
+// --- Player Profiles ---
+// uid ごとに保存する表示名・アバター・色。未設定や壊れた値は uid から作った既定値で補う。
+
+export const MAX_NAME_LENGTH = 16;
+
+export const PROFILE_COLORS = ['#6366f1', '#ef4444', '#f59e0b', '#10b981', '#06b6d4', '#ec4899', '#8b5cf6', '#64748b'];
+
+// 'initials' 以外は components/avatarIcons.js のキー
+export const AVATARS = ['initials', 'cat', 'dog', 'bird', 'fish', 'ghost', 'rocket', 'star', 'flame'];
+
+export const defaultName = (uid) => `Player ${(uid || '').slice(0, 4).toUpperCase()}`;
+
+export const initialsOf = (name) => (
+  name.trim().split(/\s+/).map(word => word[0]).join('').slice(0, 2).toUpperCase() || '?'
+);
+
+export const normalizeProfile = (profile, uid) => {
+  const name = (profile?.displayName || '').trim().slice(0, MAX_NAME_LENGTH);
+  return {
+    displayName: name || defaultName(uid),
+    avatar: AVATARS.includes(profile?.avatar) ? profile.avatar : 'initials',
+    color: PROFILE_COLORS.includes(profile?.color) ? profile.color : PROFILE_COLORS[0],
+  };
+};
@@ -0,0 +1,45 @@
+// --- Local Session ---
+// リロードや再接続のあとに同じルーム・同じ盤面へ戻るため、ルーム ID とプレイヤーの盤面を localStorage に保存する。
+// プライベートブラウズなどで保存できない場合は何もしない（再開できないだけ）。
+
+const SESSION_KEY = 'dualitaire:session';
+const boardKey = (roomId, uid) => `dualitaire:board:${roomId}:${uid}`;
+
+const read = (key) => {
+  try {
+    const raw = localStorage.getItem(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+};
+
+const write = (key, value) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.error("Session save failed", e);
+  }
+};
+
+const remove = (key) => {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // 保存できない環境では消すものもない
+  }
+};
+
+// session: { roomId, uid }
+export const loadSession = () => read(SESSION_KEY);
+export const saveSession = (session) => write(SESSION_KEY, session);
+
+export const clearSession = () => {
+  const session = loadSession();
+  if (session) remove(boardKey(session.roomId, session.uid));
+  remove(SESSION_KEY);
+};
+
+// saved: { round, seed, board, score, seq }（seq は次に記録する手の番号。手順ログを読めないときの再開に使う）
+export const loadBoard = (roomId, uid) => read(boardKey(roomId, uid));
+export const saveBoard = (roomId, uid, saved) => write(boardKey(roomId, uid), saved);